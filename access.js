@@ -0,0 +1,141 @@
+/**
+ * File access for the MCP server
+ *
+ * Confines the files tools read and write to a set of allowed directories.
+ * Paths are resolved through symlinks before they are checked, so a link
+ * inside an allowed directory cannot reach outside it. Renders may not
+ * overwrite their own source image unless that is switched on, and default
+ * outputs can be sent to a dedicated output directory.
+ *
+ * @author Varun Dubey
+ * @license MIT
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Allowed directories (real paths); none means any path is accepted
+const roots = [];
+
+let outputDir = null;
+let allowOverwrite = false;
+
+/**
+ * Whether something exists at a path, without following a final symlink
+ */
+function exists(file) {
+  try {
+    fs.lstatSync(file);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Resolve a path through any symlinks. Parts that do not exist yet (a new
+ * output file or directory) are resolved against the nearest one that does,
+ * and a symlink to a missing file against its target.
+ */
+function realPath(file) {
+  let current = path.resolve(file);
+  const missing = [];
+  while (!exists(current) && path.dirname(current) !== current) {
+    missing.unshift(path.basename(current));
+    current = path.dirname(current);
+  }
+
+  try {
+    return path.join(fs.realpathSync(current), ...missing);
+  } catch (e) {
+    if (e.code !== 'ENOENT') {
+      throw new Error(`Cannot resolve ${file}: ${e.message}`);
+    }
+    const target = path.resolve(path.dirname(current), fs.readlinkSync(current));
+    return realPath(path.join(target, ...missing));
+  }
+}
+
+/**
+ * Whether a resolved path is a directory or inside it
+ */
+function isInside(file, dir) {
+  const relative = path.relative(dir, file);
+  return !path.isAbsolute(relative) && relative.split(path.sep)[0] !== '..';
+}
+
+/**
+ * Set the allowed directories, the directory default outputs go to and
+ * whether a render may overwrite its input. Directories must exist, except
+ * the output directory, which is created.
+ */
+function configureAccess({ directories = [], outputDirectory = null, allowInputOverwrite = false } = {}) {
+  roots.length = 0;
+  for (const dir of directories) {
+    if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+      throw new Error(`Allowed directory not found: ${dir}`);
+    }
+    roots.push(fs.realpathSync(dir));
+  }
+
+  outputDir = null;
+  if (outputDirectory) {
+    fs.mkdirSync(outputDirectory, { recursive: true });
+    outputDir = fs.realpathSync(outputDirectory);
+    // Configuring an output directory allows writing to it
+    if (roots.length && !roots.some(root => isInside(outputDir, root))) roots.push(outputDir);
+  }
+
+  allowOverwrite = Boolean(allowInputOverwrite);
+}
+
+/**
+ * Check that a file may be read or written. Returns its resolved path.
+ */
+function checkPath(file) {
+  if (typeof file !== 'string' || !file) {
+    throw new Error(`Invalid path: ${JSON.stringify(file)}`);
+  }
+
+  const real = realPath(file);
+  if (roots.length && !roots.some(root => isInside(real, root))) {
+    throw new Error(`Access denied: ${file} is outside the allowed directories (${roots.join(', ')})`);
+  }
+  return real;
+}
+
+/**
+ * Check that an output may be written: inside the allowed directories and,
+ * unless overwriting is allowed, not the input image itself. Returns its
+ * resolved path.
+ */
+function checkOutputPath(file, input) {
+  const real = checkPath(file);
+  if (!allowOverwrite && typeof input === 'string' && !input.startsWith('data:') && realPath(input) === real) {
+    throw new Error(`Refusing to overwrite the input image ${input}; choose a different output path`);
+  }
+  return real;
+}
+
+/**
+ * The directory default outputs go to, or null to put them next to the input
+ */
+function getOutputDirectory() {
+  return outputDir;
+}
+
+/**
+ * The allowed directories, or an empty list if any path is accepted
+ */
+function listAllowedDirectories() {
+  return [...roots];
+}
+
+module.exports = {
+  configureAccess,
+  checkPath,
+  checkOutputPath,
+  getOutputDirectory,
+  listAllowedDirectories,
+  realPath
+};
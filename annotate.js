@@ -11,11 +11,11 @@
 const sharp = require('sharp');
 const path = require('path');
 const fs = require('fs');
-
-// Handwriting-style font stack (system fonts that look hand-drawn)
-// Use single quotes inside for XML compatibility
-const HANDWRITING_FONT = "Comic Sans MS, Marker Felt, Bradley Hand, cursive";
-const CLEAN_FONT = "Arial, Helvetica, sans-serif";
+const crypto = require('crypto');
+const { measureText, renderText, wrapText, registerFont, listFontFamilies } = require('./fonts.js');
+const { detectElements, snapBox } = require('./detect.js');
+const { parseColor, normalizeColor, checkAnnotation, canonicalType, ANNOTATION_TYPES } = require('./validate.js');
+const { realPath } = require('./access.js');
 
 // Professional color palette
 const COLORS = {
@@ -49,7 +49,9 @@ const COLORS = {
   accent: '#FF4081'
 };
 
-// Preset themes for different use cases (bolder defaults)
+// Preset themes for different use cases (bolder defaults).
+// Each entry holds defaults for one annotation type; `font` applies to all text
+// and `defaults` to every type.
 const THEMES = {
   documentation: {
     marker: { color: 'primary', size: 32 },
@@ -77,24 +79,176 @@ const THEMES = {
   }
 };
 
+// Colors and themes added at runtime or from a project config file
+const customColors = {};
+const customThemes = {};
+
+// Project config file, looked up from the working directory upwards
+const CONFIG_FILE = '.annotatorrc.json';
+
+// Environment variable pointing at a config file to use instead
+const CONFIG_ENV = 'IMAGE_ANNOTATOR_CONFIG';
+
+// Named anchor points, as fractions of the image width and height
+const ANCHORS = {
+  'top-left': [0, 0],
+  'top': [0.5, 0],
+  'top-center': [0.5, 0],
+  'top-right': [1, 0],
+  'left': [0, 0.5],
+  'center-left': [0, 0.5],
+  'center': [0.5, 0.5],
+  'middle': [0.5, 0.5],
+  'right': [1, 0.5],
+  'center-right': [1, 0.5],
+  'bottom-left': [0, 1],
+  'bottom': [0.5, 1],
+  'bottom-center': [0.5, 1],
+  'bottom-right': [1, 1]
+};
+
+// Edge keywords for each axis, as fractions of its extent
+const AXIS_KEYWORDS = {
+  x: { left: 0, center: 0.5, middle: 0.5, right: 1 },
+  y: { top: 0, center: 0.5, middle: 0.5, bottom: 1 }
+};
+
 /**
- * Escape XML special characters
+ * Resolve one coordinate against the axis extent: a number, "50%",
+ * an edge with an optional offset ("right-20", "center+10", "25%+8")
  */
-function escapeXml(text) {
-  if (typeof text !== 'string') return String(text);
-  return text
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&apos;');
+function resolveCoordinate(value, axis, extent) {
+  if (typeof value === 'number' || value == null) return value;
+
+  const match = /^([a-z]+|-?\d*\.?\d+%?)?(?:([+-])(\d*\.?\d+)(%?))?$/i.exec(String(value).replace(/\s+/g, ''));
+  const keywords = AXIS_KEYWORDS[axis];
+  if (!match || (!match[1] && !match[2])) {
+    throw new Error(`Invalid ${axis} coordinate "${value}" (use a number, "50%", "${axis === 'x' ? 'right-20' : 'bottom-20'}" or "center")`);
+  }
+
+  const [, base = '0', sign, offset, offsetPercent] = match;
+  let result;
+
+  if (/^[a-z]+$/i.test(base)) {
+    const fraction = keywords[base.toLowerCase()];
+    if (fraction === undefined) {
+      throw new Error(`Invalid ${axis} coordinate "${value}" (${axis} edges are ${Object.keys(keywords).join(', ')})`);
+    }
+    result = fraction * extent;
+  } else if (base.endsWith('%')) {
+    result = parseFloat(base) / 100 * extent;
+  } else {
+    result = parseFloat(base);
+  }
+
+  if (sign) {
+    const amount = offsetPercent ? parseFloat(offset) / 100 * extent : parseFloat(offset);
+    result += sign === '-' ? -amount : amount;
+  }
+
+  return result;
+}
+
+/**
+ * Resolve a length (width, height, radius): a number or a percentage of the extent
+ */
+function resolveLength(value, field, extent) {
+  if (typeof value === 'number' || value == null) return value;
+  const match = /^(\d*\.?\d+)(%?)$/.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`Invalid ${field} "${value}" (use a number or a percentage like "25%")`);
+  }
+  return match[2] ? parseFloat(match[1]) / 100 * extent : parseFloat(match[1]);
+}
+
+/**
+ * Resolve a point: [x, y] with relative coordinates, or a named anchor like "top-right"
+ */
+function resolvePoint(point, width, height) {
+  if (typeof point === 'string') {
+    const anchor = ANCHORS[point.toLowerCase()];
+    if (!anchor) {
+      throw new Error(`Unknown anchor "${point}" (use ${Object.keys(ANCHORS).join(', ')})`);
+    }
+    return [anchor[0] * width, anchor[1] * height];
+  }
+  if (!Array.isArray(point)) return point;
+  return [resolveCoordinate(point[0], 'x', width), resolveCoordinate(point[1], 'y', height)];
+}
+
+/**
+ * Resolve the position and size fields of a box-like object
+ */
+function resolveBox(box, width, height) {
+  const resolved = { ...box };
+
+  // An anchor names the point when x/y are not given
+  if (box.anchor && box.x === undefined && box.y === undefined) {
+    [resolved.x, resolved.y] = resolvePoint(box.anchor, width, height);
+  }
+
+  if ('x' in box) resolved.x = resolveCoordinate(box.x, 'x', width);
+  if ('y' in box) resolved.y = resolveCoordinate(box.y, 'y', height);
+  if ('width' in box) resolved.width = resolveLength(box.width, 'width', width);
+  if ('height' in box) resolved.height = resolveLength(box.height, 'height', height);
+  if ('radius' in box) resolved.radius = resolveLength(box.radius, 'radius', Math.min(width, height));
+  return resolved;
+}
+
+/**
+ * Resolve relative and anchored coordinates of an annotation to pixels.
+ * A `target` box (or the name of one in `elements`) attaches the annotation
+ * to that box; see attachToTarget.
+ */
+function resolveAnnotation(ann, width, height, elements = {}) {
+  if (ann.target) {
+    let target = ann.target;
+    if (typeof target === 'string') {
+      target = elements && elements[target];
+      if (!target) {
+        const names = Object.keys(elements || {});
+        throw new Error(`Unknown target "${ann.target}" (elements: ${names.length ? names.join(', ') : 'none given'})`);
+      }
+    }
+    const { target: name, ...own } = ann;
+    const box = resolveBox(target, width, height);
+    if (![box.x, box.y, box.width, box.height].every(Number.isFinite)) {
+      throw new Error(`Target ${typeof name === 'string' ? `"${name}" ` : ''}needs x, y, width and height`);
+    }
+    return attachToTarget({ ...resolveAnnotation(own, width, height), target: box }, width, height);
+  }
+
+  const resolved = resolveBox(ann, width, height);
+
+  if ('maxWidth' in ann) resolved.maxWidth = resolveLength(ann.maxWidth, 'maxWidth', width);
+  if ('from' in ann) resolved.from = resolvePoint(ann.from, width, height);
+  if ('to' in ann) resolved.to = resolvePoint(ann.to, width, height);
+  if (ann.source) resolved.source = resolveBox(ann.source, width, height);
+  if (Array.isArray(ann.areas)) resolved.areas = ann.areas.map(area => resolveBox(area, width, height));
+
+  return resolved;
+}
+
+/**
+ * Scale the pixel geometry of an annotation, for the image layers that are
+ * cut from real pixels (redactions, magnifier insets) rather than drawn in SVG
+ */
+function scaleGeometry(ann, factor) {
+  if (factor === 1) return ann;
+
+  const scaled = { ...ann };
+  for (const key of ['x', 'y', 'width', 'height', 'radius', 'cornerRadius', 'intensity']) {
+    if (typeof ann[key] === 'number') scaled[key] = ann[key] * factor;
+  }
+  if (ann.source) scaled.source = scaleGeometry(ann.source, factor);
+  return scaled;
 }
 
 /**
  * Get color value from name or hex
  */
 function getColor(color) {
-  return COLORS[color] || color || COLORS.red;
+  return customColors[color] || COLORS[color] || color || COLORS.red;
 }
 
 /**
@@ -119,7 +273,7 @@ function createDropShadow(id, blur = 4, opacity = 0.3) {
 /**
  * Create professional numbered marker with shadow and gradient
  */
-function createMarker({ x, y, number, color = 'red', size = 32, shadow = true, style = 'filled' }) {
+function createMarker({ x, y, number, color = 'red', size = 32, shadow = true, style = 'filled', fontFamily = null, fontFile = null }) {
   const c = getColor(color);
   const id = generateId('marker');
   const defs = [];
@@ -142,31 +296,36 @@ function createMarker({ x, y, number, color = 'red', size = 32, shadow = true, s
 
   const filterAttr = shadow ? `filter="url(#${id}-shadow)"` : '';
 
+  // Longer text ("viii", "AB") shrinks to stay inside the marker
+  const text = String(number);
+  const textWidth = measureText(text, { fontSize: size * 0.9, fontWeight: 'bold', fontFamily, fontFile });
+  const scale = Math.min(1, (size * 1.5) / textWidth);
+  const numberText = fill => renderText(text, x, y + size * 0.35 * scale, {
+    fontSize: size * 0.9 * scale, fontWeight: 'bold', fontFamily, fontFile, fill, anchor: 'middle'
+  });
+
   if (style === 'filled') {
     // Filled circle with number
     elements.push(`
       <circle cx="${x}" cy="${y}" r="${size}" fill="url(#${gradientId})" ${filterAttr}/>
       <circle cx="${x}" cy="${y}" r="${size - 2}" fill="none" stroke="rgba(255,255,255,0.3)" stroke-width="2"/>
-      <text x="${x}" y="${y + size * 0.35}" text-anchor="middle" fill="white"
-            font-size="${size * 0.9}" font-weight="bold" font-family="Arial, Helvetica, sans-serif">${number}</text>
+      ${numberText('white')}
     `);
   } else if (style === 'outline') {
     // Outlined circle with number
     elements.push(`
       <circle cx="${x}" cy="${y}" r="${size}" fill="white" stroke="${c}" stroke-width="3" ${filterAttr}/>
-      <text x="${x}" y="${y + size * 0.35}" text-anchor="middle" fill="${c}"
-            font-size="${size * 0.9}" font-weight="bold" font-family="Arial, Helvetica, sans-serif">${number}</text>
+      ${numberText(c)}
     `);
   } else if (style === 'badge') {
     // Badge style (pill shape for multi-digit)
-    const isMultiDigit = number > 9;
+    const isMultiDigit = text.length > 1;
     const width = isMultiDigit ? size * 1.6 : size * 2;
     const height = size * 2;
     elements.push(`
       <rect x="${x - width / 2}" y="${y - height / 2}" width="${width}" height="${height}"
             rx="${height / 2}" fill="url(#${gradientId})" ${filterAttr}/>
-      <text x="${x}" y="${y + size * 0.35}" text-anchor="middle" fill="white"
-            font-size="${size * 0.9}" font-weight="bold" font-family="Arial, Helvetica, sans-serif">${number}</text>
+      ${numberText('white')}
     `);
   }
 
@@ -266,29 +425,16 @@ function createCurvedArrow({ from, to, curve = 50, color = 'red', strokeWidth =
 }
 
 /**
- * Create professional callout box with pointer (rounded corners, handwriting font)
+ * Measure a callout: wrapped lines, its box and the pointer path
  */
-function createCallout({ x, y, text, color = 'primary', background = 'white', width = null, pointer = 'bottom', fontSize = 18, shadow = true, handwriting = true }) {
-  const borderColor = getColor(color);
-  const bgColor = getColor(background);
-  const id = generateId('callout');
-  const defs = [];
-  const fontFamily = handwriting ? HANDWRITING_FONT : CLEAN_FONT;
-
-  // Calculate dimensions
+function measureCallout({ x, y, text, width = null, maxWidth = null, pointer = 'bottom', fontSize = 18, handwriting = true, fontFamily = null, fontFile = null }) {
   const padding = 14;
   const lineHeight = fontSize * 1.5;
-  const lines = text.split('\n');
-  const textWidth = width || Math.max(...lines.map(l => l.length * fontSize * 0.65)) + padding * 2;
+  const fontOptions = { fontSize, fontWeight: 600, handwriting, fontFamily, fontFile };
+  const lines = wrapText(text, maxWidth || (width ? width - padding * 2 : null), fontOptions);
+  const textWidth = width || Math.max(...lines.map(l => measureText(l, fontOptions))) + padding * 2;
   const textHeight = lines.length * lineHeight + padding * 2;
 
-  // Add drop shadow
-  if (shadow) {
-    defs.push(createDropShadow(`${id}-shadow`, 4, 0.15));
-  }
-
-  const filterAttr = shadow ? `filter="url(#${id}-shadow)"` : '';
-
   // Calculate box position based on pointer
   let boxX, boxY, pointerPath;
   const pointerSize = 12;
@@ -320,20 +466,48 @@ function createCallout({ x, y, text, color = 'primary', background = 'white', wi
       pointerPath = '';
   }
 
+  return {
+    fontOptions,
+    lines,
+    lineHeight,
+    padding,
+    pointerPath,
+    box: { x: boxX, y: boxY, width: textWidth, height: textHeight }
+  };
+}
+
+/**
+ * Create professional callout box with pointer (rounded corners, handwriting font)
+ * Text wraps to maxWidth (or the fixed box width) and the box is sized to fit.
+ */
+function createCallout(options) {
+  const { color = 'primary', background = 'white', shadow = true } = options;
+  const borderColor = getColor(color);
+  const bgColor = getColor(background);
+  const id = generateId('callout');
+  const defs = [];
+
+  // Calculate dimensions
+  const { fontOptions, lines, lineHeight, padding, pointerPath, box } = measureCallout(options);
+
+  // Add drop shadow
+  if (shadow) {
+    defs.push(createDropShadow(`${id}-shadow`, 4, 0.15));
+  }
+
+  const filterAttr = shadow ? `filter="url(#${id}-shadow)"` : '';
+
   // Build text elements
   const textElements = lines.map((line, i) =>
-    `<tspan x="${boxX + padding}" dy="${i === 0 ? 0 : lineHeight}">${escapeXml(line)}</tspan>`
-  ).join('');
+    renderText(line, box.x + padding, box.y + padding + fontOptions.fontSize + i * lineHeight, { ...fontOptions, fill: getColor('darkGray') })
+  ).join('\n');
 
   const element = `
     <g ${filterAttr}>
-      <rect x="${boxX}" y="${boxY}" width="${textWidth}" height="${textHeight}"
+      <rect x="${box.x}" y="${box.y}" width="${box.width}" height="${box.height}"
             rx="10" fill="${bgColor}" stroke="${borderColor}" stroke-width="3" stroke-linejoin="round"/>
       ${pointerPath ? `<path d="${pointerPath}" fill="${bgColor}" stroke="${borderColor}" stroke-width="3" stroke-linejoin="round"/>` : ''}
-      <text x="${boxX + padding}" y="${boxY + padding + fontSize}"
-            fill="${getColor('darkGray')}" font-size="${fontSize}" font-family="${fontFamily}" font-weight="600">
-        ${textElements}
-      </text>
+      ${textElements}
     </g>
   `;
 
@@ -388,19 +562,42 @@ function createCircle({ x, y, radius = 30, color = 'red', strokeWidth = 4, fill
   return { defs: defs.join('\n'), element };
 }
 
+/**
+ * Measure a label: wrapped lines, line height and its background box
+ */
+function measureLabel({ x = 0, y = 0, text, fontSize = 18, fontWeight = '600', maxWidth = null, padding = 10, handwriting = true, fontFamily = null, fontFile = null }) {
+  const fontOptions = { fontSize, fontWeight, handwriting, fontFamily, fontFile };
+  const lines = wrapText(text, maxWidth, fontOptions);
+  const lineHeight = fontSize * 1.3;
+  const textWidth = Math.max(...lines.map(l => measureText(l, fontOptions)));
+  const textHeight = lineHeight * lines.length;
+
+  return {
+    fontOptions,
+    lines,
+    lineHeight,
+    box: {
+      x: x - padding,
+      y: y - lineHeight - padding + 4,
+      width: textWidth + padding * 2,
+      height: textHeight + padding * 2
+    }
+  };
+}
+
 /**
  * Create text label with optional background (handwriting font support)
+ * Honors \n and wraps to maxWidth; (x, y) is the baseline of the first line.
  */
-function createLabel({ x, y, text, color = 'darkGray', fontSize = 18, fontWeight = '600', background = null, padding = 10, cornerRadius = 8, shadow = true, handwriting = true }) {
+function createLabel(options) {
+  const { x, y, color = 'darkGray', background = null, cornerRadius = 8, shadow = true } = options;
   const textColor = getColor(color);
   const id = generateId('label');
   const defs = [];
   const elements = [];
-  const fontFamily = handwriting ? HANDWRITING_FONT : CLEAN_FONT;
 
-  // Calculate text dimensions (slightly larger for handwriting font)
-  const textWidth = text.length * fontSize * 0.65;
-  const textHeight = fontSize * 1.3;
+  // Calculate text dimensions from font metrics
+  const { fontOptions, lines, lineHeight, box } = measureLabel(options);
 
   if (shadow && background) {
     defs.push(createDropShadow(`${id}-shadow`, 4, 0.2));
@@ -411,16 +608,14 @@ function createLabel({ x, y, text, color = 'darkGray', fontSize = 18, fontWeight
   if (background) {
     const bgColor = getColor(background);
     elements.push(`
-      <rect x="${x - padding}" y="${y - textHeight - padding + 4}"
-            width="${textWidth + padding * 2}" height="${textHeight + padding * 2}"
+      <rect x="${box.x}" y="${box.y}" width="${box.width}" height="${box.height}"
             rx="${cornerRadius}" fill="${bgColor}" stroke="${textColor}" stroke-width="2" stroke-linejoin="round" ${filterAttr}/>
     `);
   }
 
-  elements.push(`
-    <text x="${x}" y="${y}" fill="${textColor}" font-size="${fontSize}"
-          font-weight="${fontWeight}" font-family="${fontFamily}">${escapeXml(text)}</text>
-  `);
+  elements.push(...lines.map((line, i) =>
+    renderText(line, x, y + i * lineHeight, { ...fontOptions, fill: textColor })
+  ));
 
   return { defs: defs.join('\n'), element: elements.join('\n') };
 }
@@ -437,20 +632,228 @@ function createHighlight({ x, y, width, height, color = 'yellow', opacity = 0.35
 }
 
 /**
- * Create blur mask for sensitive content
+ * Create spotlight: dim the whole image except one or more holes.
+ * Holes are { x, y, width, height, shape?: 'rect'|'rounded'|'circle', cornerRadius?, radius? }
+ * (circles use x, y as the center); a single hole can be given inline.
  */
-function createBlur({ x, y, width, height, intensity = 8 }) {
-  const id = generateId('blur');
+function createSpotlight({ areas = null, x, y, width, height, radius, shape = 'rect', cornerRadius, color = 'black', opacity = 0.6, feather = 0 }, canvas) {
+  const c = getColor(color);
+  const id = generateId('spotlight');
+  const holes = areas || [{ x, y, width, height, radius, shape, cornerRadius }];
+
+  const holeElements = holes.map(hole => {
+    const holeShape = hole.shape || shape;
+    if (holeShape === 'circle') {
+      const r = hole.radius != null ? hole.radius : Math.min(hole.width, hole.height) / 2;
+      return `<circle cx="${hole.x}" cy="${hole.y}" r="${r}"/>`;
+    }
+    const rx = hole.cornerRadius != null ? hole.cornerRadius : holeShape === 'rounded' ? 12 : 0;
+    return `<rect x="${hole.x}" y="${hole.y}" width="${hole.width}" height="${hole.height}" rx="${rx}"/>`;
+  }).join('\n');
+
+  // Feathering blurs the holes inside the mask, softening the cut-out edges
+  const featherDef = feather > 0 ? `
+      <filter id="${id}-feather" filterUnits="userSpaceOnUse" x="${canvas.x}" y="${canvas.y}" width="${canvas.width}" height="${canvas.height}">
+        <feGaussianBlur stdDeviation="${feather}"/>
+      </filter>
+    ` : '';
+  const filterAttr = feather > 0 ? `filter="url(#${id}-feather)"` : '';
+
   return {
     defs: `
-      <filter id="${id}">
-        <feGaussianBlur stdDeviation="${intensity}"/>
-      </filter>
+      ${featherDef}
+      <mask id="${id}-mask" maskUnits="userSpaceOnUse" x="${canvas.x}" y="${canvas.y}" width="${canvas.width}" height="${canvas.height}">
+        <rect x="${canvas.x}" y="${canvas.y}" width="${canvas.width}" height="${canvas.height}" fill="white"/>
+        <g fill="black" ${filterAttr}>
+          ${holeElements}
+        </g>
+      </mask>
     `,
-    element: `<rect x="${x}" y="${y}" width="${width}" height="${height}" fill="#808080" filter="url(#${id})"/>`
+    element: `<rect x="${canvas.x}" y="${canvas.y}" width="${canvas.width}" height="${canvas.height}" fill="${c}" opacity="${opacity}" mask="url(#${id}-mask)"/>`
+  };
+}
+
+/**
+ * Work out where a magnifier crops from and where its inset goes.
+ * Circles crop a square around the source center so the lens is filled.
+ */
+function magnifierGeometry({ source, x, y, zoom = 2, shape = 'circle' }) {
+  let src = { x: source.x, y: source.y, width: source.width, height: source.height };
+
+  if (shape === 'circle') {
+    const side = Math.max(src.width, src.height);
+    src = { x: src.x + src.width / 2 - side / 2, y: src.y + src.height / 2 - side / 2, width: side, height: side };
+  }
+
+  const insetWidth = src.width * zoom;
+  const insetHeight = src.height * zoom;
+
+  return {
+    src,
+    inset: { x: x - insetWidth / 2, y: y - insetHeight / 2, width: insetWidth, height: insetHeight }
   };
 }
 
+/**
+ * Point on a box (or the circle inscribed in it) in the direction of a target
+ */
+function edgePoint(box, shape, toward) {
+  const cx = box.x + box.width / 2;
+  const cy = box.y + box.height / 2;
+  const dx = toward[0] - cx;
+  const dy = toward[1] - cy;
+  const len = Math.sqrt(dx * dx + dy * dy) || 1;
+
+  if (shape === 'circle') {
+    const r = box.width / 2;
+    return [cx + dx / len * r, cy + dy / len * r];
+  }
+
+  const t = Math.min(
+    dx ? (box.width / 2) / Math.abs(dx) : Infinity,
+    dy ? (box.height / 2) / Math.abs(dy) : Infinity
+  );
+  return [cx + dx * t, cy + dy * t];
+}
+
+/**
+ * Create magnifier border, source outline and connector.
+ * The zoomed pixels are an image layer composited by annotateImage.
+ */
+function createMagnifier(options) {
+  const { shape = 'circle', color = 'primary', strokeWidth = 4, cornerRadius = 12, connector = true } = options;
+  const c = getColor(color);
+  const { src, inset } = magnifierGeometry(options);
+  const elements = [];
+
+  // Outline the area being magnified
+  const sourceBox = options.source;
+  elements.push(`
+    <rect x="${sourceBox.x}" y="${sourceBox.y}" width="${sourceBox.width}" height="${sourceBox.height}" rx="4"
+          fill="none" stroke="${c}" stroke-width="2" stroke-dasharray="6,4"/>
+  `);
+
+  if (connector) {
+    const srcCenter = [src.x + src.width / 2, src.y + src.height / 2];
+    const insetCenter = [inset.x + inset.width / 2, inset.y + inset.height / 2];
+    const [x1, y1] = edgePoint(sourceBox, 'rect', insetCenter);
+    const [x2, y2] = edgePoint(inset, shape, srcCenter);
+    elements.push(`<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" stroke="${c}" stroke-width="2" stroke-linecap="round"/>`);
+  }
+
+  if (shape === 'circle') {
+    elements.push(`
+      <circle cx="${inset.x + inset.width / 2}" cy="${inset.y + inset.height / 2}" r="${inset.width / 2}"
+              fill="none" stroke="${c}" stroke-width="${strokeWidth}"/>
+    `);
+  } else {
+    elements.push(`
+      <rect x="${inset.x}" y="${inset.y}" width="${inset.width}" height="${inset.height}" rx="${cornerRadius}"
+            fill="none" stroke="${c}" stroke-width="${strokeWidth}" stroke-linejoin="round"/>
+    `);
+  }
+
+  return { defs: '', element: elements.join('\n') };
+}
+
+/**
+ * Crop and scale the magnified pixels into an inset image layer
+ */
+async function createMagnifierLayer(input, imageWidth, imageHeight, options, canvasWidth = imageWidth, canvasHeight = imageHeight) {
+  const { shape = 'circle', cornerRadius = 12 } = options;
+  const { src, inset } = magnifierGeometry(options);
+
+  // Clamp the crop to the image; the inset keeps the requested size
+  const left = Math.max(0, Math.round(src.x));
+  const top = Math.max(0, Math.round(src.y));
+  const w = Math.min(imageWidth, Math.round(src.x + src.width)) - left;
+  const h = Math.min(imageHeight, Math.round(src.y + src.height)) - top;
+  const insetWidth = Math.min(canvasWidth, Math.round(inset.width));
+  const insetHeight = Math.min(canvasHeight, Math.round(inset.height));
+
+  if (w <= 0 || h <= 0 || insetWidth <= 0 || insetHeight <= 0) return null;
+
+  // Cut the zoomed pixels to the lens shape
+  const mask = shape === 'circle'
+    ? `<circle cx="${insetWidth / 2}" cy="${insetHeight / 2}" r="${Math.min(insetWidth, insetHeight) / 2}"/>`
+    : `<rect width="${insetWidth}" height="${insetHeight}" rx="${cornerRadius}"/>`;
+
+  const buffer = await sharp(input)
+    .extract({ left, top, width: w, height: h })
+    .resize(insetWidth, insetHeight, { fit: 'fill' })
+    .ensureAlpha()
+    .composite([{
+      input: Buffer.from(`<svg width="${insetWidth}" height="${insetHeight}" xmlns="http://www.w3.org/2000/svg">${mask}</svg>`),
+      blend: 'dest-in'
+    }])
+    .png()
+    .toBuffer();
+
+  return { input: buffer, left: Math.round(inset.x), top: Math.round(inset.y) };
+}
+
+// Smallest pixelate block and blur radius; anything finer leaves text readable,
+// so lower intensities are raised to these
+const MIN_PIXELATE_BLOCK = 8;
+const MIN_BLUR_SIGMA = 8;
+
+// Largest blur radius sharp accepts (a device pixel ratio can scale past it)
+const MAX_BLUR_SIGMA = 1000;
+
+/**
+ * Redact a region by rewriting the underlying pixels (blur, pixelate or solid fill).
+ * Returns a composite layer that replaces the region, so the original pixels are
+ * not recoverable from the output.
+ */
+async function createRedaction(input, imageWidth, imageHeight, { x, y, width, height, mode = 'blur', intensity, color = 'black' }) {
+  // Clamp the region to the image, sharp cannot extract outside of it
+  const left = Math.max(0, Math.round(x));
+  const top = Math.max(0, Math.round(y));
+  const right = Math.min(imageWidth, Math.round(x + width));
+  const bottom = Math.min(imageHeight, Math.round(y + height));
+  const w = right - left;
+  const h = bottom - top;
+
+  if (w <= 0 || h <= 0) return null;
+
+  let buffer;
+
+  switch (mode) {
+    case 'solid':
+      buffer = await sharp({
+        create: { width: w, height: h, channels: 3, background: getColor(color) }
+      }).png().toBuffer();
+      break;
+    case 'pixelate':
+    case 'mosaic': {
+      const blockSize = Math.max(MIN_PIXELATE_BLOCK, Math.round(intensity || 12));
+      const small = await sharp(input)
+        .extract({ left, top, width: w, height: h })
+        .resize(Math.max(1, Math.ceil(w / blockSize)), Math.max(1, Math.ceil(h / blockSize)), { fit: 'fill' })
+        .toBuffer();
+      buffer = await sharp(small)
+        .resize(w, h, { fit: 'fill', kernel: 'nearest' })
+        .removeAlpha()
+        .png()
+        .toBuffer();
+      break;
+    }
+    case 'blur':
+      buffer = await sharp(input)
+        .extract({ left, top, width: w, height: h })
+        .blur(Math.min(MAX_BLUR_SIGMA, Math.max(MIN_BLUR_SIGMA, intensity || 8)))
+        .removeAlpha()
+        .png()
+        .toBuffer();
+      break;
+    default:
+      throw new Error(`Unknown blur mode: ${mode} (expected blur, pixelate or solid)`);
+  }
+
+  // The layer is fully opaque, so no original pixels can bleed through it
+  return { input: buffer, top, left };
+}
+
 /**
  * Create step connector line between two points (bolder, rounded)
  */
@@ -533,155 +936,1738 @@ function createIcon({ x, y, icon, color = 'green', size = 28, shadow = true }) {
   };
 }
 
+/**
+ * Create a labelled coordinate grid so positions can be read off a screenshot.
+ * Lines sit on multiples of `spacing` (every `majorEvery`-th drawn stronger) and
+ * are labelled along the top and left edges; major crossings show "x,y".
+ * x/y/width/height limit the grid to part of the image.
+ */
+function createGrid(options, image) {
+  const {
+    x = image.x,
+    y = image.y,
+    width = image.width,
+    height = image.height,
+    spacing = 100,
+    majorEvery = 5,
+    color = 'red',
+    opacity = 0.6,
+    strokeWidth = 1,
+    fontSize = 12,
+    labels = true
+  } = options;
+  const c = getColor(color);
+  const step = Math.max(5, spacing);
+  const right = x + width;
+  const bottom = y + height;
+  const font = { fontSize, fontWeight: 600 };
+
+  const xs = [];
+  const ys = [];
+  for (let v = Math.ceil(x / step) * step; v <= right; v += step) xs.push(v);
+  for (let v = Math.ceil(y / step) * step; v <= bottom; v += step) ys.push(v);
+
+  const isMajor = v => Math.round(v / step) % majorEvery === 0;
+  const path = (values, vertical) => values
+    .map(v => vertical ? `M${v},${y} V${bottom}` : `M${x},${v} H${right}`)
+    .join(' ');
+  const lines = major => {
+    const d = [path(xs.filter(v => isMajor(v) === major), true), path(ys.filter(v => isMajor(v) === major), false)].join(' ').trim();
+    return d
+      ? `<path d="${d}" fill="none" stroke="${c}" stroke-opacity="${major ? opacity : opacity / 2}" stroke-width="${major ? strokeWidth * 1.5 : strokeWidth}"/>`
+      : '';
+  };
+
+  // Text on a light backing so it stays legible on any screenshot, kept inside the grid
+  const tag = (text, cx, cy) => {
+    const w = measureText(text, font) + 8;
+    const h = fontSize + 6;
+    const left = Math.min(Math.max(cx - w / 2, x), right - w);
+    const top = Math.min(Math.max(cy - h / 2, y), bottom - h);
+    return `<rect x="${left}" y="${top}" width="${w}" height="${h}" rx="3" fill="white" fill-opacity="0.85"/>
+      ${renderText(text, left + w / 2, top + h / 2 + fontSize * 0.35, { ...font, fill: c, anchor: 'middle' })}`;
+  };
+
+  const tags = [];
+  if (labels) {
+    xs.forEach(v => tags.push(tag(String(v), v, y)));
+    ys.filter(v => v !== y).forEach(v => tags.push(tag(String(v), x, v)));
+    for (const gx of xs.filter(v => isMajor(v) && v !== x && v !== right)) {
+      for (const gy of ys.filter(v => isMajor(v) && v !== y && v !== bottom)) {
+        tags.push(tag(`${gx},${gy}`, gx, gy));
+      }
+    }
+  }
+
+  return {
+    defs: '',
+    element: `<g class="grid">
+      ${lines(false)}
+      ${lines(true)}
+      ${tags.join('\n')}
+    </g>`
+  };
+}
+
 /**
  * Adjust color brightness
  */
 function adjustColor(hex, amount) {
-  const num = parseInt(hex.replace('#', ''), 16);
+  const num = parseInt(hex.slice(1, 7), 16);
   const r = Math.min(255, Math.max(0, (num >> 16) + amount));
   const g = Math.min(255, Math.max(0, ((num >> 8) & 0x00FF) + amount));
   const b = Math.min(255, Math.max(0, (num & 0x0000FF) + amount));
-  return `#${((r << 16) | (g << 8) | b).toString(16).padStart(6, '0')}`;
+  return `#${((r << 16) | (g << 8) | b).toString(16).padStart(6, '0')}${hex.slice(7)}`;
 }
 
 /**
- * Build complete SVG from annotations
+ * Area shared by two boxes
  */
-function buildSvg(width, height, annotations, theme = null) {
-  // Reset ID counter for each build
-  idCounter = 0;
-
-  const defs = [];
-  const elements = [];
-
-  // Apply theme defaults if specified
-  const themeDefaults = theme ? THEMES[theme] : null;
-
-  for (const ann of annotations) {
-    // Merge with theme defaults
-    const mergedAnn = themeDefaults && themeDefaults[ann.type]
-      ? { ...themeDefaults[ann.type], ...ann }
-      : ann;
+function overlapArea(a, b) {
+  const w = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+  const h = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+  return w > 0 && h > 0 ? w * h : 0;
+}
 
-    let result;
+/**
+ * Area of a box that falls outside the image
+ */
+function overflowArea(box, width, height) {
+  const inside = overlapArea(box, { x: 0, y: 0, width, height });
+  return box.width * box.height - inside;
+}
 
-    switch (ann.type) {
-      case 'marker':
-      case 'number':
-        result = createMarker(mergedAnn);
-        break;
-      case 'arrow':
-        result = createArrow(mergedAnn);
-        break;
-      case 'curved-arrow':
-      case 'curvedArrow':
-        result = createCurvedArrow(mergedAnn);
-        break;
-      case 'callout':
-        result = createCallout(mergedAnn);
-        break;
-      case 'rect':
-      case 'rectangle':
-      case 'box':
-        result = createRect(mergedAnn);
-        break;
-      case 'circle':
-        result = createCircle(mergedAnn);
-        break;
-      case 'label':
-      case 'text':
-        result = createLabel(mergedAnn);
-        break;
-      case 'highlight':
-        result = createHighlight(mergedAnn);
-        break;
-      case 'blur':
-        result = createBlur(mergedAnn);
-        break;
-      case 'connector':
-      case 'line':
-        result = createConnector(mergedAnn);
-        break;
-      case 'icon':
-        result = createIcon(mergedAnn);
-        break;
-      default:
-        console.warn(`Unknown annotation type: ${ann.type}`);
-        continue;
+/**
+ * Bounding box of an annotation (after theme defaults are applied), in image
+ * coordinates. Spotlights cover the whole canvas and have no bounds of their own.
+ */
+function getAnnotationBounds(ann) {
+  const fromPoints = (points, pad) => {
+    const xs = points.map(p => p[0]);
+    const ys = points.map(p => p[1]);
+    const x = Math.min(...xs) - pad;
+    const y = Math.min(...ys) - pad;
+    return { x, y, width: Math.max(...xs) + pad - x, height: Math.max(...ys) + pad - y };
+  };
+  const around = (x, y, r) => ({ x: x - r, y: y - r, width: r * 2, height: r * 2 });
+
+  switch (ann.type) {
+    case 'marker':
+    case 'number':
+      return around(ann.x, ann.y, ann.size || 32);
+    case 'icon':
+      return around(ann.x, ann.y, ann.size || 28);
+    case 'circle':
+      return around(ann.x, ann.y, (ann.radius || 30) + (ann.strokeWidth || 4) / 2);
+    case 'arrow':
+    case 'connector':
+    case 'line': {
+      const strokeWidth = ann.strokeWidth || 5;
+      return fromPoints([ann.from, ann.to], Math.max(10, strokeWidth * 3) / 2);
     }
-
-    if (result) {
-      if (result.defs) defs.push(result.defs);
-      if (result.element) elements.push(result.element);
+    case 'curved-arrow':
+    case 'curvedArrow': {
+      const [x1, y1] = ann.from;
+      const [x2, y2] = ann.to;
+      const curve = ann.curve != null ? ann.curve : 50;
+      const len = Math.sqrt((x2 - x1) ** 2 + (y2 - y1) ** 2) || 1;
+      const control = [(x1 + x2) / 2 - (y2 - y1) / len * curve, (y1 + y2) / 2 + (x2 - x1) / len * curve];
+      return fromPoints([ann.from, ann.to, control], Math.max(10, (ann.strokeWidth || 5) * 3) / 2);
     }
+    case 'callout':
+      return measureCallout(ann).box;
+    case 'label':
+    case 'text':
+      return measureLabel(ann).box;
+    case 'rect':
+    case 'rectangle':
+    case 'box':
+    case 'highlight':
+    case 'blur':
+    case 'redact':
+      return { x: ann.x, y: ann.y, width: ann.width, height: ann.height };
+    case 'magnify':
+    case 'magnifier':
+    case 'zoom': {
+      const { inset } = magnifierGeometry(ann);
+      const { source } = ann;
+      return fromPoints([
+        [inset.x, inset.y], [inset.x + inset.width, inset.y + inset.height],
+        [source.x, source.y], [source.x + source.width, source.y + source.height]
+      ], (ann.strokeWidth || 4) / 2);
+    }
+    default:
+      return null;
   }
-
-  return `<?xml version="1.0" encoding="UTF-8"?>
-<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
-  <defs>
-    ${defs.join('\n')}
-  </defs>
-  ${elements.join('\n')}
-</svg>`;
 }
 
 /**
- * Main annotation function
+ * Resolve canvas padding: a number, { top, right, bottom, left }, or 'auto'
+ * to grow just enough to fit every annotation (plus a small margin)
  */
-async function annotateImage(inputPath, outputPath, annotations, options = {}) {
-  // Validate input
-  if (!fs.existsSync(inputPath)) {
-    throw new Error(`Input file not found: ${inputPath}`);
+function resolvePadding(padding, annotations, width, height, margin = 10) {
+  if (padding === 'auto') {
+    const pad = { top: 0, right: 0, bottom: 0, left: 0 };
+    for (const ann of annotations) {
+      const box = getAnnotationBounds(ann);
+      if (!box) continue;
+      pad.left = Math.max(pad.left, Math.ceil(margin - box.x));
+      pad.top = Math.max(pad.top, Math.ceil(margin - box.y));
+      pad.right = Math.max(pad.right, Math.ceil(box.x + box.width + margin - width));
+      pad.bottom = Math.max(pad.bottom, Math.ceil(box.y + box.height + margin - height));
+    }
+    return pad;
   }
 
-  // Get image metadata
-  const metadata = await sharp(inputPath).metadata();
-  const { width, height } = metadata;
-
-  // Build SVG overlay
-  const svg = buildSvg(width, height, annotations, options.theme);
-
-  // Composite SVG onto image
-  await sharp(inputPath)
-    .composite([{
-      input: Buffer.from(svg),
-      top: 0,
-      left: 0
-    }])
-    .toFile(outputPath);
+  if (typeof padding === 'number') {
+    const n = Math.max(0, Math.round(padding));
+    return { top: n, right: n, bottom: n, left: n };
+  }
 
+  const { top = 0, right = 0, bottom = 0, left = 0 } = padding || {};
   return {
-    outputPath,
-    width,
-    height,
-    annotationCount: annotations.length
+    top: Math.max(0, Math.round(top)),
+    right: Math.max(0, Math.round(right)),
+    bottom: Math.max(0, Math.round(bottom)),
+    left: Math.max(0, Math.round(left))
   };
 }
 
 /**
- * Get image dimensions
+ * Place a label beside each marker, avoiding the image edges, other markers
+ * and previously placed labels. Each step is { x, y, label, position? } where
+ * position is 'right', 'left', 'below', 'above' or 'auto' (the default).
+ * Returns the label baseline, its box, the chosen side and an arrow from the
+ * marker edge to the label.
  */
-async function getImageDimensions(imagePath) {
-  const metadata = await sharp(imagePath).metadata();
-  return {
+function layoutStepLabels(steps, imageWidth, imageHeight, { markerSize = 24, gap = 20, margin = 6, label = {} } = {}) {
+  const sides = ['right', 'left', 'below', 'above'];
+  const markers = steps.map(step => ({
+    x: step.x - markerSize - margin,
+    y: step.y - markerSize - margin,
+    width: (markerSize + margin) * 2,
+    height: (markerSize + margin) * 2
+  }));
+  const placed = [];
+
+  return steps.map((step, i) => {
+    // Measured at the origin, so -size.x/-size.y is the text offset inside the box
+    const { box: size } = measureLabel({ ...label, text: step.label });
+    const { width: w, height: h } = size;
+    const candidates = step.position && step.position !== 'auto' ? [step.position] : sides;
+    let best = null;
+
+    candidates.forEach((side, rank) => {
+      let bx, by;
+      switch (side) {
+        case 'left':
+          bx = step.x - markerSize - gap - w;
+          by = step.y - h / 2;
+          break;
+        case 'below':
+          bx = step.x - w / 2;
+          by = step.y + markerSize + gap;
+          break;
+        case 'above':
+          bx = step.x - w / 2;
+          by = step.y - markerSize - gap - h;
+          break;
+        default:
+          bx = step.x + markerSize + gap;
+          by = step.y - h / 2;
+      }
+
+      // Slide along the side to stay inside the image where possible
+      if (side === 'left' || side === 'right') {
+        by = Math.max(0, Math.min(imageHeight - h, by));
+      } else {
+        bx = Math.max(0, Math.min(imageWidth - w, bx));
+      }
+
+      const box = { x: bx, y: by, width: w, height: h };
+      const overlap = [...placed, ...markers.filter((_, j) => j !== i)]
+        .reduce((sum, other) => sum + overlapArea(box, other), 0);
+      const cost = overflowArea(box, imageWidth, imageHeight) * 100 + overlap * 10 + rank;
+
+      if (!best || cost < best.cost) best = { side, box, cost };
+    });
+
+    const { side, box } = best;
+    placed.push({ x: box.x - margin, y: box.y - margin, width: box.width + margin * 2, height: box.height + margin * 2 });
+
+    // Arrow from the marker edge to the middle of the facing label edge
+    const to = {
+      right: [box.x - 4, box.y + h / 2],
+      left: [box.x + w + 4, box.y + h / 2],
+      below: [box.x + w / 2, box.y - 4],
+      above: [box.x + w / 2, box.y + h + 4]
+    }[side];
+    const dx = to[0] - step.x;
+    const dy = to[1] - step.y;
+    const len = Math.sqrt(dx * dx + dy * dy) || 1;
+    const from = [step.x + dx / len * (markerSize + 4), step.y + dy / len * (markerSize + 4)];
+
+    return {
+      x: box.x - size.x,
+      y: box.y - size.y,
+      box,
+      side,
+      arrow: { from, to }
+    };
+  });
+}
+
+// Side of a target box each annotation type attaches to by default
+const TARGET_SIDES = {
+  'marker': 'top-left',
+  'icon': 'top-right',
+  'callout': 'auto',
+  'label': 'right',
+  'arrow': 'right',
+  'curved-arrow': 'right',
+  'connector': 'right',
+  'magnify': 'right',
+  'magnifier': 'right',
+  'zoom': 'right'
+};
+
+// Space left between a target box and the annotation attached to it
+const TARGET_GAPS = {
+  'rect': 4,
+  'circle': 4,
+  'highlight': 2,
+  'spotlight': 8,
+  'callout': 6,
+  'label': 10,
+  'arrow': 6,
+  'curved-arrow': 6,
+  'connector': 6
+};
+
+// Callout pointer for the side of the target the callout sits on
+const POINTER_FOR_SIDE = { right: 'left', left: 'right', top: 'bottom', bottom: 'top' };
+const SIDE_FOR_POINTER = { left: 'right', right: 'left', bottom: 'top', top: 'bottom' };
+
+// Distance from the target at which arrows without a `from` start
+const ARROW_LENGTH = 60;
+
+/**
+ * Point on a box for a side or corner name ("right", "top-left", "center"),
+ * pushed outwards by gapX/gapY
+ */
+function targetPoint(box, side, gapX = 0, gapY = gapX) {
+  const [fx, fy] = ANCHORS[side];
+  return [
+    box.x + fx * box.width + (fx * 2 - 1) * gapX,
+    box.y + fy * box.height + (fy * 2 - 1) * gapY
+  ];
+}
+
+/**
+ * Grow a box by `gap` on every side
+ */
+function growBox(box, gap) {
+  return { x: box.x - gap, y: box.y - gap, width: box.width + gap * 2, height: box.height + gap * 2 };
+}
+
+/**
+ * Attach an annotation to its `target` box (e.g. an element's bounding box):
+ * shapes surround it, markers and icons sit on a corner, labels and callouts
+ * beside it and arrows point at its edge. `side` picks where, `gap` how far.
+ * Geometry given explicitly on the annotation wins over the derived values.
+ */
+function attachToTarget(ann, imageWidth, imageHeight) {
+  const { target: box, ...rest } = ann;
+  const aliases = { above: 'top', below: 'bottom' };
+  let side = aliases[ann.side] || ann.side ||
+    (ann.type === 'callout' && ann.pointer && SIDE_FOR_POINTER[ann.pointer]) ||
+    TARGET_SIDES[ann.type] || 'center';
+  const gap = ann.gap !== undefined ? ann.gap : TARGET_GAPS[ann.type] || 0;
+
+  // Only callouts choose a side for themselves
+  if (side === 'auto' && ann.type !== 'callout') side = TARGET_SIDES[ann.type] || 'center';
+  if (side !== 'auto' && !ANCHORS[side]) {
+    throw new Error(`Unknown side "${ann.side}" (use ${Object.keys(ANCHORS).join(', ')})`);
+  }
+
+  const center = targetPoint(box, 'center');
+  let geometry;
+
+  switch (ann.type) {
+    case 'marker':
+    case 'icon': {
+      const [x, y] = targetPoint(box, side, gap);
+      geometry = { x, y };
+      break;
+    }
+
+    case 'circle':
+      geometry = { x: center[0], y: center[1], radius: Math.max(box.width, box.height) / 2 + gap };
+      break;
+
+    case 'spotlight':
+      geometry = ann.shape === 'circle'
+        ? { x: center[0], y: center[1], radius: Math.max(box.width, box.height) / 2 + gap }
+        : growBox(box, gap);
+      break;
+
+    case 'label': {
+      // Measured at the origin, so -size.x/-size.y is the text offset inside the box
+      const size = measureLabel({ ...ann, x: 0, y: 0 }).box;
+      const [px, py] = targetPoint(box, side, gap);
+      const [fx, fy] = ANCHORS[side];
+      // The label extends away from the target: right of a right-side point, above a top one
+      geometry = { x: px - (1 - fx) * size.width - size.x, y: py - (1 - fy) * size.height - size.y };
+      break;
+    }
+
+    case 'callout': {
+      const sides = side === 'auto' ? ['right', 'left', 'bottom', 'top'] : [side];
+      if (!POINTER_FOR_SIDE[sides[0]]) {
+        throw new Error(`Callouts attach to the right, left, top or bottom of a target, not "${side}"`);
+      }
+
+      // Take the first side where the callout fits inside the image
+      let best = null;
+      for (const candidate of sides) {
+        const [x, y] = targetPoint(box, candidate, gap);
+        const pointer = POINTER_FOR_SIDE[candidate];
+        const overflow = overflowArea(measureCallout({ ...ann, x, y, pointer }).box, imageWidth, imageHeight);
+        if (!best || overflow < best.overflow) best = { overflow, geometry: { x, y, pointer } };
+        if (!overflow) break;
+      }
+      geometry = best.geometry;
+      break;
+    }
+
+    case 'arrow':
+    case 'curved-arrow':
+    case 'connector': {
+      const edge = growBox(box, gap);
+      const from = ann.from || targetPoint(edge, side, ARROW_LENGTH);
+      geometry = { from, to: edgePoint(edge, 'rect', from) };
+      break;
+    }
+
+    case 'magnify':
+    case 'magnifier':
+    case 'zoom': {
+      // The inset sits beside the source unless x/y place it explicitly
+      const source = growBox(box, gap);
+      const { inset } = magnifierGeometry({ ...ann, source, x: 0, y: 0 });
+      const [x, y] = targetPoint(source, side, 24 + inset.width / 2, 24 + inset.height / 2);
+      geometry = { source, x, y };
+      break;
+    }
+
+    default:
+      // rect, highlight, blur and anything else box-shaped covers the target
+      geometry = growBox(box, gap);
+  }
+
+  return { ...geometry, ...rest };
+}
+
+/**
+ * Register a named color (a hex value or another color's name) for use in any color field
+ */
+function registerColor(name, value) {
+  const palette = getPalette();
+  const color = Object.hasOwn(palette, value) ? palette[value] : parseColor(value);
+  if (!color) {
+    throw new Error(`Color ${name}: ${JSON.stringify(value)} is not a valid color (use a hex value, rgb(), hsl() or another color's name)`);
+  }
+  customColors[name] = color;
+}
+
+/**
+ * All named colors, built-in and registered, as hex values
+ */
+function getPalette() {
+  return { ...COLORS, ...customColors };
+}
+
+// Theme entries besides the per-type ones
+const THEME_ENTRIES = ['extends', 'font', 'defaults'];
+
+/**
+ * A theme with its entries keyed by canonical type (`box` -> `rect`), so
+ * aliases share one entry. Entries for the same type are merged.
+ */
+function canonicalTheme(theme) {
+  const canonical = {};
+  for (const [key, value] of Object.entries(theme)) {
+    const type = THEME_ENTRIES.includes(key) ? key : canonicalType(key);
+    canonical[type] = key === 'extends' ? value : { ...canonical[type], ...value };
+  }
+  return canonical;
+}
+
+/**
+ * Register a named theme. `extends` names a theme to build on, whose
+ * entries are merged type by type under this one's.
+ */
+function registerTheme(name, theme) {
+  if (!theme || typeof theme !== 'object' || Array.isArray(theme)) {
+    throw new Error(`Theme ${name} must be an object of per-type defaults`);
+  }
+  for (const [key, value] of Object.entries(theme)) {
+    if (!THEME_ENTRIES.includes(key) && !ANNOTATION_TYPES.includes(canonicalType(key))) {
+      throw new Error(`Theme ${name}: unknown entry "${key}" (use an annotation type, ${THEME_ENTRIES.join(', ')})`);
+    }
+    if (key === 'extends' ? typeof value !== 'string' : !value || typeof value !== 'object' || Array.isArray(value)) {
+      throw new Error(`Theme ${name}: ${key} must be ${key === 'extends' ? 'a theme name' : 'an object of defaults'}`);
+    }
+  }
+  customThemes[name] = canonicalTheme(theme);
+}
+
+/**
+ * List the color names available, built-in and registered
+ */
+function listColors() {
+  return [...new Set([...Object.keys(COLORS), ...Object.keys(customColors)])];
+}
+
+/**
+ * List the theme names available, built-in and registered
+ */
+function listThemes() {
+  return [...new Set([...Object.keys(THEMES), ...Object.keys(customThemes)])];
+}
+
+/**
+ * Merge a theme's entries over the theme it extends
+ */
+function extendTheme(base, theme) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(theme)) {
+    if (key !== 'extends') merged[key] = { ...merged[key], ...value };
+  }
+  return merged;
+}
+
+/**
+ * Look up a theme by name, following `extends`. A registered theme may
+ * extend the built-in theme of the same name.
+ */
+function getTheme(name, seen = []) {
+  const custom = seen.includes(name) ? null : customThemes[name];
+  const theme = custom || THEMES[name];
+  if (!theme) {
+    throw new Error(seen.includes(name)
+      ? `Theme ${name} extends itself (${[...seen, name].join(' -> ')})`
+      : `Unknown theme: ${name} (available: ${listThemes().join(', ')})`);
+  }
+
+  return custom && custom.extends ? extendTheme(getTheme(custom.extends, [...seen, name]), custom) : theme;
+}
+
+/**
+ * Load colors, themes and fonts from a config file, e.g.
+ * { "colors": { "brand": "#FF5A00" },
+ *   "themes": { "acme": { "extends": "documentation", "rect": { "color": "brand" } } },
+ *   "fonts": { "Brand": "./Brand.ttf" } }
+ * Font paths are relative to the config file.
+ */
+function loadConfig(file) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`Invalid config ${file}: ${e.message}`);
+  }
+
+  const dir = path.dirname(path.resolve(file));
+  for (const [family, faces] of Object.entries(config.fonts || {})) {
+    for (const face of [].concat(faces)) {
+      const { file: fontFile, weight } = typeof face === 'string' ? { file: face } : face;
+      registerFont(family, path.resolve(dir, fontFile), { weight });
+    }
+  }
+  for (const [name, value] of Object.entries(config.colors || {})) {
+    registerColor(name, value);
+  }
+  for (const [name, theme] of Object.entries(config.themes || {})) {
+    registerTheme(name, theme);
+  }
+
+  // Follow every extends chain now, so a bad config fails on load rather than on render
+  for (const name of Object.keys(config.themes || {})) {
+    getTheme(name);
+  }
+
+  return config;
+}
+
+/**
+ * Load the project config: the file named by IMAGE_ANNOTATOR_CONFIG, or the
+ * nearest .annotatorrc.json from `dir` upwards. Returns its path, or null.
+ */
+function loadProjectConfig(dir = process.cwd()) {
+  let file = process.env[CONFIG_ENV];
+  if (file && !fs.existsSync(file)) {
+    throw new Error(`Config file not found: ${file} (from ${CONFIG_ENV})`);
+  }
+
+  for (let current = path.resolve(dir); !file; current = path.dirname(current)) {
+    const candidate = path.join(current, CONFIG_FILE);
+    if (fs.existsSync(candidate)) file = candidate;
+    else if (path.dirname(current) === current) return null;
+  }
+
+  loadConfig(file);
+  return file;
+}
+
+/**
+ * Resolve a theme name or object, layering an optional font over its own
+ */
+function resolveTheme(theme, font = null) {
+  let base = typeof theme === 'string' ? getTheme(theme) : theme && canonicalTheme(theme);
+  if (base && base.extends) base = extendTheme(getTheme(base.extends), base);
+  if (!font) return base || null;
+  return { ...base, font: { ...(base && base.font), ...font } };
+}
+
+/**
+ * Merge an annotation with theme defaults (theme-wide font, then defaults
+ * for every type, then the annotation type's own)
+ */
+function applyTheme(ann, themeDefaults) {
+  return themeDefaults
+    ? { ...themeDefaults.font, ...themeDefaults.defaults, ...themeDefaults[canonicalType(ann.type)], ...ann }
+    : ann;
+}
+
+/**
+ * Theme, resolve and check one annotation against its type's schema.
+ * Returns the normalised annotation (null if it has errors) and its issues,
+ * tagged with the annotation's index and type.
+ */
+function inspectAnnotation(ann, index, themeDefaults, width, height, elements) {
+  let resolved = null;
+  let resolveError = null;
+  if (ann && typeof ann === 'object' && !Array.isArray(ann)) {
+    try {
+      resolved = resolveAnnotation(applyTheme(ann, themeDefaults), width, height, elements);
+    } catch (e) {
+      resolveError = e;
+    }
+  }
+
+  const { annotation, issues } = checkAnnotation(ann, resolved, getPalette());
+  if (resolveError) {
+    issues.unshift({ level: 'error', code: 'invalid-value', field: null, message: resolveError.message });
+  }
+
+  const type = ann && typeof ann.type === 'string' ? ann.type : null;
+  return { annotation, issues: issues.map(issue => ({ ...issue, index, type })) };
+}
+
+/**
+ * Inspect a whole annotation list. Returns the normalised annotations with
+ * their indexes (only those without errors), and all errors and warnings.
+ */
+function inspectAnnotations(annotations, themeDefaults, width, height, elements) {
+  if (!Array.isArray(annotations)) {
+    throw new Error('annotations must be an array');
+  }
+
+  const entries = [];
+  const issues = [];
+  annotations.forEach((ann, index) => {
+    const inspected = inspectAnnotation(ann, index, themeDefaults, width, height, elements);
+    if (inspected.annotation) entries.push({ index, annotation: inspected.annotation });
+    issues.push(...inspected.issues);
+  });
+
+  return {
+    entries,
+    errors: issues.filter(issue => issue.level === 'error'),
+    warnings: issues.filter(issue => issue.level === 'warning')
+  };
+}
+
+/**
+ * Name an annotation for messages: annotations[2] (rect)
+ */
+function describeAnnotation(index, type) {
+  return `annotations[${index}]${type ? ` (${type})` : ''}`;
+}
+
+/**
+ * Describe an issue for messages: annotations[2] (rect): ...
+ */
+function describeIssue({ index, type, message }) {
+  return `${describeAnnotation(index, type)}: ${message}`;
+}
+
+/**
+ * One error listing every annotation error, a line each
+ */
+function annotationError(errors) {
+  return new Error(errors.map(error => `Invalid ${describeIssue(error)}`).join('\n'));
+}
+
+/**
+ * Theme, resolve and validate one annotation, throwing if it has errors
+ */
+function prepareAnnotation(ann, index, themeDefaults, width, height, elements) {
+  const { annotation, issues } = inspectAnnotation(ann, index, themeDefaults, width, height, elements);
+  const errors = issues.filter(issue => issue.level === 'error');
+  if (errors.length) throw annotationError(errors);
+  return annotation;
+}
+
+// Annotation types carrying text or a badge, which should not cover each other
+const OVERLAP_TYPES = ['marker', 'number', 'icon', 'label', 'text', 'callout'];
+
+/**
+ * Placement warnings: annotations reaching past the canvas (the image plus
+ * any padding, in annotation coordinates), and text or badges covering each
+ * other. `entries` are { index, annotation } pairs.
+ */
+function checkLayout(entries, canvas, padded) {
+  const warnings = [];
+  const warn = (entry, code, message) => warnings.push({
+    level: 'warning', code, field: null, message, index: entry.index, type: entry.annotation.type
+  });
+  const area = padded ? 'canvas' : 'image';
+  const placed = [];
+
+  for (const entry of entries) {
+    const box = getAnnotationBounds(entry.annotation);
+    if (!box) continue;
+
+    const overflow = {
+      left: canvas.x - box.x,
+      top: canvas.y - box.y,
+      right: box.x + box.width - (canvas.x + canvas.width),
+      bottom: box.y + box.height - (canvas.y + canvas.height)
+    };
+    const outside = box.x >= canvas.x + canvas.width || box.y >= canvas.y + canvas.height ||
+      box.x + box.width <= canvas.x || box.y + box.height <= canvas.y;
+    const sides = Object.entries(overflow).filter(([, px]) => Math.round(px) > 0);
+
+    if (outside) {
+      warn(entry, 'out-of-bounds', `is entirely outside the ${area}`);
+    } else if (sides.length) {
+      warn(entry, 'out-of-bounds', `extends past the ${area}: ${sides.map(([side, px]) => `${Math.round(px)}px ${side}`).join(', ')} (use padding to make room)`);
+    }
+
+    if (!OVERLAP_TYPES.includes(entry.annotation.type)) continue;
+    for (const other of placed) {
+      if (overlapArea(box, other.box) > 0) {
+        warn(entry, 'overlap', `overlaps ${describeAnnotation(other.index, other.type)}`);
+      }
+    }
+    placed.push({ index: entry.index, type: entry.annotation.type, box });
+  }
+
+  return warnings;
+}
+
+/**
+ * Build complete SVG from annotations
+ * `theme` is a preset name or a theme object; a theme's `font` entry
+ * ({ fontFamily, fontFile }) applies to every text-bearing annotation.
+ * When the canvas is padded, offsetX/offsetY place the original image
+ * inside it and annotation coordinates stay relative to that image.
+ * Relative coordinates ("50%", "right-20", "center") resolve against
+ * imageWidth/imageHeight, which default to the canvas size.
+ * `scale` draws annotations authored in CSS pixels onto a HiDPI capture:
+ * positions, sizes, strokes and text all grow by the device pixel ratio.
+ * `elements` maps names to boxes that annotations can use as their `target`.
+ * Set `prepared` when the annotations are already themed, validated and
+ * resolved (as annotateImage does), so they are drawn as given.
+ */
+function buildSvg(width, height, annotations, theme = null, { offsetX = 0, offsetY = 0, scale = 1, imageWidth = width / scale, imageHeight = height / scale, elements: targets = {}, prepared = false } = {}) {
+  // Reset ID counter for each build
+  idCounter = 0;
+
+  // The full canvas in annotation (image) coordinates
+  const canvas = { x: -offsetX / scale, y: -offsetY / scale, width: width / scale, height: height / scale };
+
+  const defs = [];
+  const elements = [];
+
+  // Apply theme defaults if specified
+  const themeDefaults = prepared ? null : resolveTheme(theme);
+
+  for (const [index, ann] of annotations.entries()) {
+    const mergedAnn = prepared ? ann : prepareAnnotation(ann, index, themeDefaults, imageWidth, imageHeight, targets);
+
+    let result;
+
+    switch (ann.type) {
+      case 'marker':
+      case 'number':
+        result = createMarker(mergedAnn);
+        break;
+      case 'arrow':
+        result = createArrow(mergedAnn);
+        break;
+      case 'curved-arrow':
+      case 'curvedArrow':
+        result = createCurvedArrow(mergedAnn);
+        break;
+      case 'callout':
+        result = createCallout(mergedAnn);
+        break;
+      case 'rect':
+      case 'rectangle':
+      case 'box':
+        result = createRect(mergedAnn);
+        break;
+      case 'circle':
+        result = createCircle(mergedAnn);
+        break;
+      case 'label':
+      case 'text':
+        result = createLabel(mergedAnn);
+        break;
+      case 'highlight':
+        result = createHighlight(mergedAnn);
+        break;
+      case 'spotlight':
+        result = createSpotlight(mergedAnn, canvas);
+        break;
+      case 'magnify':
+      case 'magnifier':
+      case 'zoom':
+        result = createMagnifier(mergedAnn);
+        break;
+      case 'blur':
+      case 'redact':
+        // Redactions rewrite the image pixels in annotateImage, not the overlay
+        continue;
+      case 'connector':
+      case 'line':
+        result = createConnector(mergedAnn);
+        break;
+      case 'icon':
+        result = createIcon(mergedAnn);
+        break;
+      case 'grid':
+        result = createGrid(mergedAnn, { x: 0, y: 0, width: imageWidth, height: imageHeight });
+        break;
+      default:
+        // Unknown types are rejected by validation
+        continue;
+    }
+
+    if (result) {
+      if (result.defs) defs.push(result.defs);
+      if (result.element) elements.push(result.element);
+    }
+  }
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
+  <defs>
+    ${defs.join('\n')}
+  </defs>
+  <g transform="translate(${offsetX} ${offsetY})${scale !== 1 ? ` scale(${scale})` : ''}">
+    ${elements.join('\n')}
+  </g>
+</svg>`;
+}
+
+/**
+ * Decode base64 image data, with or without a data URL prefix
+ */
+function decodeImageData(data) {
+  const match = /^data:([^;,]*)(;base64)?,(.*)$/s.exec(data);
+  if (match && !match[2]) {
+    throw new Error('Image data URLs must be base64 encoded');
+  }
+  const buffer = Buffer.from(match ? match[3] : data, 'base64');
+  if (!buffer.length) {
+    throw new Error('Image data is empty or not valid base64');
+  }
+  return buffer;
+}
+
+/**
+ * Resolve an image input for sharp: a file path, a data URL or a Buffer
+ */
+function resolveImageInput(input) {
+  if (Buffer.isBuffer(input)) return input;
+
+  if (typeof input === 'string' && input.startsWith('data:')) {
+    return decodeImageData(input);
+  }
+
+  if (typeof input === 'string') {
+    if (!fs.existsSync(input)) {
+      throw new Error(`Input file not found: ${input}`);
+    }
+    return input;
+  }
+
+  throw new Error('Input must be a file path, a data URL or a Buffer');
+}
+
+// Annotation types that can snap onto detected element bounds
+const SNAP_TYPES = ['rect', 'highlight', 'circle', 'spotlight', 'blur', 'redact'];
+
+/**
+ * Snap a roughly placed box onto the UI element it most likely means.
+ * The box (and the result) are in CSS pixels when devicePixelRatio is given;
+ * returns null when no convincing element is found.
+ */
+async function snapToElement(input, box, { devicePixelRatio = 1 } = {}) {
+  const snapped = await snapBox(resolveImageInput(input), scaleGeometry(box, devicePixelRatio));
+  return snapped && scaleGeometry(snapped, 1 / devicePixelRatio);
+}
+
+/**
+ * Candidate element boxes near a point, closest first (see detect.js)
+ */
+async function findElementsNear(input, x, y, { radius = 150, limit = 10, devicePixelRatio = 1 } = {}) {
+  const dpr = devicePixelRatio;
+  const boxes = await detectElements(resolveImageInput(input), x * dpr, y * dpr, { radius: radius * dpr, limit });
+  return boxes.map(box => ({
+    ...scaleGeometry(box, 1 / dpr),
+    distance: Math.round(box.distance / dpr),
+    contains: box.contains
+  }));
+}
+
+/**
+ * Snap an annotation marked `snap: true` onto the element under it, then
+ * attach it to that element like a `target`. Left as is when nothing matches.
+ */
+async function snapAnnotation(input, ann, dpr, imageWidth, imageHeight) {
+  if (!SNAP_TYPES.includes(ann.type) || ann.areas) return ann;
+
+  const round = ann.type === 'circle' || (ann.type === 'spotlight' && ann.shape === 'circle');
+  const box = round
+    ? { x: ann.x - ann.radius, y: ann.y - ann.radius, width: ann.radius * 2, height: ann.radius * 2 }
+    : { x: ann.x, y: ann.y, width: ann.width, height: ann.height };
+  if (![box.x, box.y, box.width, box.height].every(Number.isFinite)) return ann;
+
+  const target = await snapToElement(input, box, { devicePixelRatio: dpr });
+  if (!target) return ann;
+
+  const { x, y, width, height, radius, ...rest } = ann;
+  return attachToTarget({ ...rest, target }, imageWidth, imageHeight);
+}
+
+// Output formats sharp can write, keyed by file extension
+const OUTPUT_FORMATS = {
+  '.png': 'png',
+  '.jpg': 'jpeg',
+  '.jpeg': 'jpeg',
+  '.webp': 'webp',
+  '.avif': 'avif',
+  '.gif': 'gif',
+  '.tif': 'tiff',
+  '.tiff': 'tiff'
+};
+
+/**
+ * Resolve the output format from an explicit option or the file extension
+ */
+function resolveFormat(outputPath, format = null) {
+  if (format) {
+    const normalized = format.toLowerCase() === 'jpg' ? 'jpeg' : format.toLowerCase();
+    if (!Object.values(OUTPUT_FORMATS).includes(normalized)) {
+      throw new Error(`Unsupported output format: ${format} (expected png, jpeg, webp, avif, gif or tiff)`);
+    }
+    return normalized;
+  }
+  return (outputPath && OUTPUT_FORMATS[path.extname(outputPath).toLowerCase()]) || 'png';
+}
+
+/**
+ * Encode a rendered pipeline with the output options and write it
+ * (or return it as a Buffer when there is no output path).
+ * Resizing needs a second pass, since sharp resizes before compositing.
+ * `source` is the image the pipeline was built on, whose metadata is kept
+ * unless stripMetadata is set.
+ */
+async function writeOutput(pipeline, outputPath, { source, format, quality, maxWidth, maxHeight, scale, stripMetadata = true, xmp = null } = {}) {
+  let output = pipeline;
+
+  if (scale || maxWidth || maxHeight) {
+    const rendered = await pipeline.png().toBuffer({ resolveWithObject: true });
+    const width = scale ? Math.max(1, Math.round(rendered.info.width * scale)) : maxWidth;
+    const height = scale ? Math.max(1, Math.round(rendered.info.height * scale)) : maxHeight;
+    const { data, info } = await sharp(rendered.data).resize({
+      width: width || null,
+      height: height || null,
+      fit: scale ? 'fill' : 'inside',
+      withoutEnlargement: !scale
+    }).raw().toBuffer({ resolveWithObject: true });
+    const raw = { width: info.width, height: info.height, channels: info.channels };
+
+    // Metadata does not survive the intermediate buffers, so to keep it the
+    // resized render replaces every pixel of the source, which still has it
+    output = stripMetadata || !source
+      ? sharp(data, { raw })
+      : sharp(source).resize(raw.width, raw.height, { fit: 'fill' }).composite([{ input: data, raw, blend: 'source' }]);
+  }
+
+  // sharp drops metadata (EXIF, ICC, XMP) unless asked to keep it
+  if (!stripMetadata) output = output.keepMetadata();
+  if (xmp) output = output.withXmp(xmp);
+
+  const outputFormat = resolveFormat(outputPath, format);
+  const encoderOptions = {};
+  if (quality != null) {
+    encoderOptions.quality = quality;
+    // PNG is lossless; quality only applies to palette quantisation
+    if (outputFormat === 'png') encoderOptions.palette = quality < 100;
+  }
+
+  output = output.toFormat(outputFormat, encoderOptions);
+
+  if (!outputPath) {
+    const { data, info } = await output.toBuffer({ resolveWithObject: true });
+    return { width: info.width, height: info.height, format: outputFormat, size: info.size, buffer: data };
+  }
+
+  const info = await output.toFile(outputPath);
+  return { width: info.width, height: info.height, format: outputFormat, size: info.size };
+}
+
+/**
+ * Main annotation function
+ * `input` is a file path, a data URL or a Buffer. With a null `outputPath`
+ * nothing is written and the encoded image is returned as `buffer`.
+ * Output options: format, quality, maxWidth, maxHeight, scale and
+ * stripMetadata (default true) control how the result is encoded.
+ * `devicePixelRatio` lets annotations be given in CSS pixels on a HiDPI
+ * capture (e.g. 2 for a Playwright deviceScaleFactor: 2 screenshot).
+ * `elements` maps names to element boxes for annotations with a named `target`.
+ * `sidecar` (true, or a path) also writes an editable .annotations.json record
+ * of the render that rerender() can re-apply; `embed` stores the same record in
+ * the output image's XMP metadata (see readAnnotations).
+ */
+async function annotateImage(input, outputPath, annotations, options = {}) {
+  // Validate input; sharp cannot write over the file it reads, so read it up front
+  const resolved = resolveImageInput(input);
+  const overwrite = typeof resolved === 'string' && outputPath && path.resolve(resolved) === path.resolve(outputPath);
+  const source = overwrite ? fs.readFileSync(resolved) : resolved;
+
+  // Get image metadata
+  const metadata = await sharp(source).metadata();
+  const { width, height } = metadata;
+
+  // Annotations may be authored in CSS pixels for a HiDPI capture
+  const dpr = options.devicePixelRatio || 1;
+  if (!(dpr > 0)) {
+    throw new Error(`Invalid devicePixelRatio: ${options.devicePixelRatio}`);
+  }
+  const cssWidth = width / dpr;
+  const cssHeight = height / dpr;
+  const paddingColor = normalizeColor(options.paddingColor || 'white', getPalette(), 'paddingColor');
+
+  const theme = resolveTheme(options.theme, options.font);
+  const { entries, errors, warnings } = inspectAnnotations(annotations, theme, cssWidth, cssHeight, options.elements);
+  if (errors.length) throw annotationError(errors);
+
+  const themed = [];
+  for (const { annotation } of entries) {
+    // Tighten roughly placed boxes onto the UI element they most likely mean
+    themed.push(annotation.snap ? await snapAnnotation(source, annotation, dpr, cssWidth, cssHeight) : annotation);
+  }
+  const magnifiers = themed.filter(ann => ['magnify', 'magnifier', 'zoom'].includes(ann.type));
+
+  // Redact blurred regions in the pixels first, so overlays can still sit on top
+  const redactions = [];
+  for (const ann of themed) {
+    if (ann.type !== 'blur' && ann.type !== 'redact') continue;
+    const layer = await createRedaction(source, width, height, scaleGeometry(ann, dpr));
+    if (layer) redactions.push(layer);
+  }
+
+  // Magnifiers read the redacted pixels, so they never reveal secrets
+  const base = redactions.length && magnifiers.length
+    ? await sharp(source).composite(redactions).png().toBuffer()
+    : source;
+
+  // Grow the canvas around the image; annotations keep image coordinates
+  const cssPad = resolvePadding(options.padding, themed, cssWidth, cssHeight);
+  const pad = {
+    top: Math.round(cssPad.top * dpr),
+    right: Math.round(cssPad.right * dpr),
+    bottom: Math.round(cssPad.bottom * dpr),
+    left: Math.round(cssPad.left * dpr)
+  };
+  const canvasWidth = width + pad.left + pad.right;
+  const canvasHeight = height + pad.top + pad.bottom;
+  warnings.push(...checkLayout(
+    themed.map((annotation, i) => ({ index: entries[i].index, annotation })),
+    cssCanvas(cssPad, cssWidth, cssHeight),
+    Object.values(cssPad).some(Boolean)
+  ));
+  const shift = layer => ({ ...layer, left: layer.left + pad.left, top: layer.top + pad.top });
+
+  // Redactions and magnifier insets are image layers beneath the SVG overlay
+  const layers = redactions.map(shift);
+  for (const ann of magnifiers) {
+    const layer = await createMagnifierLayer(base, width, height, scaleGeometry(ann, dpr), canvasWidth, canvasHeight);
+    if (layer) layers.push(shift(layer));
+  }
+
+  // Build SVG overlay
+  const svg = buildSvg(canvasWidth, canvasHeight, themed, null, {
+    offsetX: pad.left,
+    offsetY: pad.top,
+    imageWidth: cssWidth,
+    imageHeight: cssHeight,
+    scale: dpr,
+    prepared: true
+  });
+  layers.push({
+    input: Buffer.from(svg),
+    top: 0,
+    left: 0
+  });
+
+  // Composite image layers and SVG onto the (padded) image
+  let pipeline = sharp(source);
+  if (canvasWidth !== width || canvasHeight !== height) {
+    pipeline = pipeline.extend({ ...pad, background: paddingColor });
+  }
+
+  const record = options.sidecar || options.embed
+    ? createAnnotationRecord(input, source, annotations, options, { width, height })
+    : null;
+
+  const output = await writeOutput(pipeline.composite(layers), outputPath, {
+    ...options,
+    source,
+    xmp: options.embed ? createAnnotationXmp(record, outputPath) : null
+  });
+
+  let sidecarPath = null;
+  if (options.sidecar) {
+    sidecarPath = typeof options.sidecar === 'string' ? options.sidecar : getSidecarPath(outputPath);
+    writeSidecar(sidecarPath, record, outputPath);
+  }
+
+  return {
+    outputPath: outputPath || null,
+    ...(output.buffer && { buffer: output.buffer }),
+    ...(sidecarPath && { sidecarPath }),
+    width: output.width,
+    height: output.height,
+    format: output.format,
+    size: output.size,
+    padding: pad,
+    annotationCount: annotations.length,
+    warnings
+  };
+}
+
+/**
+ * The canvas around an image of the given (CSS) size, in annotation coordinates
+ */
+function cssCanvas(pad, width, height) {
+  return { x: -pad.left, y: -pad.top, width: width + pad.left + pad.right, height: height + pad.top + pad.bottom };
+}
+
+/**
+ * Check annotations against an image without rendering: the same schema,
+ * value and placement checks annotateImage makes, with the same options.
+ * Returns { valid, width, height, errors, warnings }; each issue is
+ * { level, code, index, type, field, message }.
+ */
+async function validateAnnotations(input, annotations, options = {}) {
+  const { width, height } = await sharp(resolveImageInput(input)).metadata();
+
+  const dpr = options.devicePixelRatio || 1;
+  if (!(dpr > 0)) {
+    throw new Error(`Invalid devicePixelRatio: ${options.devicePixelRatio}`);
+  }
+  const cssWidth = width / dpr;
+  const cssHeight = height / dpr;
+
+  const theme = resolveTheme(options.theme, options.font);
+  const { entries, errors, warnings } = inspectAnnotations(annotations, theme, cssWidth, cssHeight, options.elements);
+
+  const cssPad = resolvePadding(options.padding, entries.map(entry => entry.annotation), cssWidth, cssHeight);
+  warnings.push(...checkLayout(entries, cssCanvas(cssPad, cssWidth, cssHeight), Object.values(cssPad).some(Boolean)));
+
+  return { valid: !errors.length, width: cssWidth, height: cssHeight, errors, warnings };
+}
+
+// Render options recorded alongside the annotations, so a rerender matches the original
+const RECORDED_OPTIONS = [
+  'font', 'padding', 'paddingColor', 'devicePixelRatio', 'elements',
+  'format', 'quality', 'maxWidth', 'maxHeight', 'scale', 'stripMetadata', 'embed'
+];
+
+/**
+ * Sidecar path for an output image: shot-annotated.png -> shot-annotated.annotations.json
+ */
+function getSidecarPath(outputPath) {
+  if (!outputPath) {
+    throw new Error('A sidecar needs an output path to sit next to; pass a sidecar path instead');
+  }
+  const ext = path.extname(outputPath);
+  return `${outputPath.slice(0, outputPath.length - ext.length)}.annotations.json`;
+}
+
+/**
+ * SHA-256 of an image input's bytes
+ */
+function hashImage(source) {
+  const data = Buffer.isBuffer(source) ? source : fs.readFileSync(source);
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Describe a render (source image, theme, annotations and options) so it can
+ * be edited and applied again. Annotations are kept as given, unresolved.
+ */
+function createAnnotationRecord(input, source, annotations, options, { width, height }) {
+  const recorded = {};
+  for (const key of RECORDED_OPTIONS) {
+    if (options[key] != null) recorded[key] = options[key];
+  }
+
+  return {
+    version: 1,
+    source: {
+      path: typeof input === 'string' && !input.startsWith('data:') ? path.resolve(input) : null,
+      sha256: hashImage(source),
+      width,
+      height
+    },
+    theme: options.theme || null,
+    options: recorded,
+    annotations
+  };
+}
+
+/**
+ * Write a sidecar record, with the source and output paths relative to it
+ * so the files can move together
+ */
+function writeSidecar(sidecarPath, record, outputPath) {
+  const dir = path.dirname(path.resolve(sidecarPath));
+  const relative = file => file ? path.relative(dir, path.resolve(file)) : null;
+
+  const sidecar = {
+    ...record,
+    source: { ...record.source, path: relative(record.source.path) },
+    output: relative(outputPath)
+  };
+  fs.writeFileSync(sidecarPath, `${JSON.stringify(sidecar, null, 2)}\n`);
+}
+
+// XMP namespace for annotation records embedded in output images
+const XMP_NAMESPACE = 'https://github.com/vapvarun/image-annotator-mcp/ns/1.0/';
+
+/**
+ * Wrap an annotation record in an XMP packet. The source path is stored
+ * relative to the output image so the pair can move together.
+ */
+function createAnnotationXmp(record, outputPath) {
+  const dir = outputPath ? path.dirname(path.resolve(outputPath)) : null;
+  const sourcePath = record.source.path && dir ? path.relative(dir, record.source.path) : null;
+  const json = JSON.stringify({ ...record, source: { ...record.source, path: sourcePath } })
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+
+  return `<?xpacket begin="\ufeff" id="W5M0MpCehiHzreSzNTczkc9d"?>
+<x:xmpmeta xmlns:x="adobe:ns:meta/">
+  <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+    <rdf:Description rdf:about="" xmlns:annotator="${XMP_NAMESPACE}">
+      <annotator:record>${json}</annotator:record>
+    </rdf:Description>
+  </rdf:RDF>
+</x:xmpmeta>
+<?xpacket end="w"?>`;
+}
+
+/**
+ * Read the annotation record embedded in an annotated image (a path, data URL
+ * or Buffer). Returns null when the image carries none.
+ */
+async function readAnnotations(image) {
+  const { xmp } = await sharp(resolveImageInput(image)).metadata();
+  if (!xmp) return null;
+
+  const match = /<annotator:record>([\s\S]*?)<\/annotator:record>/.exec(xmp.toString('utf8'));
+  if (!match) return null;
+
+  const json = match[1]
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+  try {
+    return JSON.parse(json);
+  } catch (e) {
+    throw new Error(`Embedded annotation data is corrupt: ${e.message}`);
+  }
+}
+
+/**
+ * Load an annotation record from a .annotations.json sidecar or from an
+ * annotated image's metadata, with the directory its paths are relative to
+ * and the output it describes
+ */
+async function loadAnnotationRecord(file) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`File not found: ${file}`);
+  }
+
+  const dir = path.dirname(path.resolve(file));
+  const embedded = path.extname(file).toLowerCase() !== '.json';
+  let record;
+
+  if (embedded) {
+    record = await readAnnotations(file);
+    if (!record) {
+      throw new Error(`${file} has no embedded annotation data (render it with embed enabled)`);
+    }
+  } else {
+    try {
+      record = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+      throw new Error(`Invalid sidecar ${file}: ${e.message}`);
+    }
+  }
+
+  if (!Array.isArray(record.annotations)) {
+    throw new Error(`Invalid annotation record in ${file}: annotations must be an array`);
+  }
+
+  const output = embedded ? path.resolve(file) : record.output && path.resolve(dir, record.output);
+  return { record, dir, embedded, output };
+}
+
+/**
+ * Render a (possibly edited) sidecar, or an image with embedded annotations,
+ * again onto its original image. `input` and `outputPath` override the
+ * recorded ones; the source image must still match the recorded hash unless
+ * `force` is set. The sidecar or embedded record is updated (a new sidecar is
+ * written next to an overridden output).
+ */
+async function rerender(file, { input, outputPath, force = false } = {}) {
+  const { record, dir, embedded, output: recordedOutput } = await loadAnnotationRecord(file);
+
+  const source = input || (record.source && record.source.path && path.resolve(dir, record.source.path));
+  if (!source) {
+    throw new Error(`${file} was rendered from image data, not a file; pass the original image as input`);
+  }
+
+  const expected = record.source && record.source.sha256;
+  if (expected && !force && hashImage(resolveImageInput(source)) !== expected) {
+    throw new Error(`Source image does not match the one ${file} was rendered from; pass force to render anyway`);
+  }
+
+  const output = outputPath !== undefined ? outputPath : recordedOutput;
+  const sameOutput = output && path.resolve(output) === recordedOutput;
+
+  const options = record.options || {};
+
+  return annotateImage(source, output || null, record.annotations, {
+    ...options,
+    theme: record.theme,
+    embed: embedded || options.embed,
+    sidecar: embedded ? false : sameOutput ? file : Boolean(output)
+  });
+}
+
+/**
+ * Get image dimensions (from a file path, a data URL or a Buffer)
+ */
+async function getImageDimensions(image) {
+  const metadata = await sharp(resolveImageInput(image)).metadata();
+  return {
     width: metadata.width,
     height: metadata.height,
     format: metadata.format
   };
 }
 
+// Renders a batch runs at once unless told otherwise
+const BATCH_CONCURRENCY = 4;
+
+// Render options a batch manifest may set, for every item or per item
+const BATCH_OPTIONS = ['theme', 'sidecar', ...RECORDED_OPTIONS];
+
+/**
+ * Regular expression for a glob over "/"-separated relative paths:
+ * * and ? within a name, ** across directories and {png,jpg} alternatives
+ */
+function globToRegExp(glob) {
+  const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    const close = char === '{' ? glob.indexOf('}', i) : -1;
+    if (glob.startsWith('**/', i)) {
+      source += '(?:.*/)?';
+      i += 2;
+    } else if (glob.startsWith('**', i)) {
+      source += '.*';
+      i += 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (close !== -1) {
+      source += `(?:${glob.slice(i + 1, close).split(',').map(escape).join('|')})`;
+      i = close;
+    } else {
+      source += escape(char);
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Files matching a glob, relative to `cwd`, in name order. Hidden files and
+ * symlinked directories are skipped.
+ */
+function expandGlob(pattern, cwd = process.cwd()) {
+  const parts = path.resolve(cwd, pattern).split(path.sep);
+  const first = parts.findIndex(part => /[*?{]/.test(part));
+  if (first === -1) {
+    return fs.existsSync(parts.join(path.sep)) ? [parts.join(path.sep)] : [];
+  }
+
+  const base = parts.slice(0, first).join(path.sep) || path.sep;
+  const rest = parts.slice(first);
+  const matcher = globToRegExp(rest.join('/'));
+  const maxDepth = rest.some(part => part.includes('**')) ? Infinity : rest.length;
+
+  const matches = [];
+  const walk = (dir, relative, depth) => {
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (e) {
+      return;
+    }
+    entries.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+    for (const entry of entries) {
+      if (entry.name.startsWith('.')) continue;
+      const name = relative ? `${relative}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        if (depth < maxDepth) walk(path.join(dir, entry.name), name, depth + 1);
+      } else if (matcher.test(name)) {
+        matches.push(path.join(dir, entry.name));
+      }
+    }
+  };
+  walk(base, '', 1);
+  return matches;
+}
+
+/**
+ * Default output for a batch input: <name><suffix><ext> next to it, or in `dir`
+ */
+function batchOutputPath(input, dir, suffix, format) {
+  const ext = path.extname(input);
+  const outExt = format ? `.${format === 'jpeg' ? 'jpg' : format}` : ext;
+  return path.join(dir || path.dirname(input), `${path.basename(input, ext)}${suffix}${outExt}`);
+}
+
+/**
+ * Expand a batch manifest into render jobs.
+ *
+ * A manifest is a list of items, or { items, annotations, outputDir, suffix,
+ * ...options } whose annotations go under each item's own and whose options
+ * (theme, padding, format, ...) apply unless an item sets them. An item is
+ * { input, output?, outputDir?, suffix?, annotations?, ...options }; its input
+ * may be a glob, making one job per matching file. Without an output, each
+ * job writes <name>-annotated<ext> (or its suffix) next to the input or in
+ * outputDir. Relative paths are resolved against `baseDir`; `expand` lists
+ * a glob's files and may throw to refuse it.
+ */
+function resolveBatch(manifest, baseDir = process.cwd(), { expand = expandGlob } = {}) {
+  // concurrency belongs to annotateBatch; it is only taken out of the options here
+  const { items, annotations: shared = [], outputDir, suffix = '-annotated', concurrency, ...defaults } =
+    Array.isArray(manifest) ? { items: manifest } : manifest || {};
+
+  if (!Array.isArray(items) || !items.length) {
+    throw new Error('A batch needs a non-empty list of items');
+  }
+  if (!Array.isArray(shared)) {
+    throw new Error('Batch annotations must be an array');
+  }
+  const checkOptions = (options, where) => {
+    const unknown = Object.keys(options).find(key => !BATCH_OPTIONS.includes(key));
+    if (unknown) throw new Error(`${where}: unknown field "${unknown}"`);
+  };
+  checkOptions(defaults, 'Batch');
+
+  const jobs = [];
+  items.forEach((item, index) => {
+    if (!item || typeof item.input !== 'string') {
+      throw new Error(`items[${index}]: input must be a file path or glob`);
+    }
+    const { input, output, outputDir: dir = outputDir, suffix: itemSuffix = suffix, annotations = [], ...options } = item;
+    checkOptions(options, `items[${index}]`);
+    if (!Array.isArray(annotations)) {
+      throw new Error(`items[${index}]: annotations must be an array`);
+    }
+
+    const glob = /[*?{]/.test(input);
+    if (glob && output) {
+      throw new Error(`items[${index}]: output names a single file; use outputDir with a glob input`);
+    }
+    // An item whose files cannot be listed fails on its own, like a failed render
+    let inputs;
+    try {
+      inputs = glob ? expand(input, baseDir) : [path.resolve(baseDir, input)];
+      if (!inputs.length) throw new Error(`No files match ${input}`);
+    } catch (error) {
+      jobs.push({ item: index, input, output: null, error: error.message });
+      return;
+    }
+
+    const jobOptions = { ...defaults, ...options };
+    if (typeof jobOptions.sidecar === 'string') jobOptions.sidecar = path.resolve(baseDir, jobOptions.sidecar);
+    for (const file of inputs) {
+      jobs.push({
+        item: index,
+        input: file,
+        output: output ? path.resolve(baseDir, output) : batchOutputPath(file, dir && path.resolve(baseDir, dir), itemSuffix, jobOptions.format),
+        annotations: [...shared, ...annotations],
+        options: jobOptions
+      });
+    }
+  });
+
+  return jobs;
+}
+
+/**
+ * Render batch jobs (see resolveBatch), at most `concurrency` at a time.
+ * A failed job does not stop the others. `check(job)` runs on every job
+ * before any render starts and may throw to refuse it. Returns { total, succeeded, failed,
+ * results }, with one result per job in order.
+ */
+async function annotateBatch(jobs, { concurrency = BATCH_CONCURRENCY, check } = {}) {
+  if (!(concurrency >= 1)) {
+    throw new Error(`Invalid concurrency: ${concurrency}`);
+  }
+
+  // Two jobs writing one file (through a symlink or another spelling of the
+  // path) would race, so outputs are compared by real path and the later
+  // ones fail instead
+  const outputs = new Map();
+  const errors = jobs.map((job, index) => {
+    if (job.error) return job.error;
+    try {
+      if (check) check(job);
+      const output = realPath(job.output);
+      const first = outputs.get(output);
+      if (first !== undefined) return `Output ${job.output} is also written by results[${first}]`;
+      outputs.set(output, index);
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  });
+
+  const results = new Array(jobs.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < jobs.length) {
+      const index = next++;
+      const job = jobs[index];
+      try {
+        if (errors[index]) throw new Error(errors[index]);
+        fs.mkdirSync(path.dirname(job.output), { recursive: true });
+
+        const result = await annotateImage(job.input, job.output, job.annotations, job.options);
+        results[index] = {
+          index, item: job.item, ok: true, input: job.input, output: result.outputPath,
+          width: result.width, height: result.height, format: result.format,
+          annotationCount: result.annotationCount, warnings: result.warnings,
+          ...(result.sidecarPath && { sidecarPath: result.sidecarPath })
+        };
+      } catch (error) {
+        results[index] = { index, item: job.item, ok: false, input: job.input, output: job.output, error: error.message };
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(Math.floor(concurrency), jobs.length) }, worker));
+
+  const failed = results.filter(result => !result.ok).length;
+  return { total: jobs.length, succeeded: jobs.length - failed, failed, results };
+}
+
+// How long each walkthrough frame shows (ms), and the frames a fade takes
+const WALKTHROUGH_DELAY = 1000;
+const FADE_FRAMES = 4;
+
+/**
+ * A walkthrough scene's steps as { annotations, duration? }. A step may be
+ * given as an annotation (with its own duration, if any), a list of
+ * annotations shown together, or { annotations, duration }.
+ */
+function walkthroughSteps(scene, index) {
+  return (scene.steps || []).map((step, i) => {
+    if (Array.isArray(step)) return { annotations: step };
+    if (step && Array.isArray(step.annotations)) return step;
+    if (step && typeof step.type === 'string') {
+      const { duration, ...annotation } = step;
+      return { annotations: [annotation], duration };
+    }
+    throw new Error(`scenes[${index}].steps[${i}] must be an annotation, a list of annotations or { annotations, duration }`);
+  });
+}
+
+/**
+ * Blend two raw frames of the same size: 0 gives `from`, 1 gives `to`
+ */
+function blendFrames(from, to, amount) {
+  const blended = Buffer.alloc(from.length);
+  for (let i = 0; i < from.length; i++) {
+    blended[i] = Math.round(from[i] + (to[i] - from[i]) * amount);
+  }
+  return blended;
+}
+
+/**
+ * Render an animated walkthrough (GIF or WebP) that reveals annotations a
+ * step at a time.
+ *
+ * `scenes` is a list of { input, annotations?, steps, duration? }. Each scene
+ * shows its screenshot with `annotations`, then adds its steps in order, one
+ * frame per step (see walkthroughSteps). Options are annotateImage's (theme,
+ * font, padding, devicePixelRatio, scale, maxWidth, quality, ...) plus `delay`
+ * (ms per frame, default 1000; a scene or step `duration` overrides it),
+ * `fade` (ms to fade each frame in, default 0) and `loop` (times to play,
+ * 0 for forever). Frames of different sizes are centered on one canvas.
+ */
+async function createWalkthrough(scenes, outputPath, options = {}) {
+  const { delay = WALKTHROUGH_DELAY, fade = 0, loop = 0, format, quality, ...renderOptions } = options;
+
+  if (!Array.isArray(scenes) || !scenes.length) {
+    throw new Error('A walkthrough needs at least one scene');
+  }
+  const outputFormat = format || !outputPath ? resolveFormat(null, format || 'gif') : resolveFormat(outputPath);
+  if (outputFormat !== 'gif' && outputFormat !== 'webp') {
+    throw new Error(`Walkthroughs are animated GIF or WebP, not ${outputFormat}`);
+  }
+  if (!(delay > 0) || !(fade >= 0) || !Number.isInteger(loop) || loop < 0) {
+    throw new Error('delay must be above 0, fade at least 0 and loop a whole number of at least 0');
+  }
+
+  // Key frames: each scene without its steps, then with one more step each time
+  const frameOptions = { ...renderOptions, format: 'png', sidecar: false, embed: false };
+  const dpr = renderOptions.devicePixelRatio || 1;
+  const keyFrames = [];
+  const warnings = [];
+  for (const [index, scene] of scenes.entries()) {
+    const steps = walkthroughSteps(scene, index);
+    const shown = [...(scene.annotations || [])];
+
+    // The finished scene sets the canvas, so its frames all match
+    const final = await annotateImage(scene.input, null, [...shown, ...steps.flatMap(step => step.annotations)], frameOptions);
+    warnings.push(...final.warnings.map(warning => ({ ...warning, scene: index })));
+    const padding = {};
+    for (const [side, pixels] of Object.entries(final.padding)) padding[side] = pixels / dpr;
+
+    const render = async annotations => (await annotateImage(scene.input, null, annotations, { ...frameOptions, padding })).buffer;
+    keyFrames.push({ data: steps.length ? await render(shown) : final.buffer, duration: scene.duration || delay });
+    for (const [i, step] of steps.entries()) {
+      shown.push(...step.annotations);
+      keyFrames.push({ data: i === steps.length - 1 ? final.buffer : await render(shown), duration: step.duration || delay });
+    }
+  }
+
+  // Center every frame on a canvas that fits the largest
+  const sizes = await Promise.all(keyFrames.map(frame => sharp(frame.data).metadata()));
+  const width = Math.max(...sizes.map(size => size.width));
+  const height = Math.max(...sizes.map(size => size.height));
+  const background = normalizeColor(renderOptions.paddingColor || 'white', getPalette(), 'paddingColor');
+  const raw = [];
+  for (const [i, frame] of keyFrames.entries()) {
+    const left = Math.floor((width - sizes[i].width) / 2);
+    const top = Math.floor((height - sizes[i].height) / 2);
+    raw.push(await sharp(frame.data)
+      .extend({ top, left, bottom: height - sizes[i].height - top, right: width - sizes[i].width - left, background })
+      .flatten({ background })
+      .raw()
+      .toBuffer());
+  }
+
+  // Fades blend in from the previous frame
+  const encode = data => sharp(data, { raw: { width, height, channels: 3 } }).png({ compressionLevel: 1 }).toBuffer();
+  const frames = [];
+  const delays = [];
+  for (const [i, frame] of keyFrames.entries()) {
+    if (i > 0 && fade > 0) {
+      for (let step = 1; step <= FADE_FRAMES; step++) {
+        frames.push(await encode(blendFrames(raw[i - 1], raw[i], step / (FADE_FRAMES + 1))));
+        delays.push(Math.round(fade / FADE_FRAMES));
+      }
+    }
+    frames.push(await encode(raw[i]));
+    delays.push(Math.round(frame.duration));
+  }
+
+  const encoderOptions = { delay: delays, loop, ...(quality != null && outputFormat === 'webp' && { quality }) };
+  const animation = sharp(frames.length > 1 ? frames : frames[0], { join: { animated: true } })[outputFormat](encoderOptions);
+
+  const result = {
+    outputPath: outputPath || null,
+    width,
+    height,
+    format: outputFormat,
+    frames: frames.length,
+    duration: delays.reduce((sum, ms) => sum + ms, 0),
+    warnings
+  };
+  if (!outputPath) {
+    const data = await animation.toBuffer();
+    return { ...result, buffer: data, size: data.length };
+  }
+  const info = await animation.toFile(outputPath);
+  return { ...result, size: info.size };
+}
+
 /**
  * CLI entry point
  */
 async function main() {
   const args = process.argv.slice(2);
 
+  // Project themes, colors and fonts, loaded first so --help lists them
+  const configIndex = args.indexOf('--config');
+  try {
+    if (configIndex !== -1) loadConfig(args[configIndex + 1]);
+    else loadProjectConfig();
+  } catch (err) {
+    console.error('Error:', err.message);
+    process.exit(1);
+  }
+
   if (args.length < 2 || args.includes('--help') || args.includes('-h')) {
     console.log(`
 Image Annotator - Professional screenshot annotation tool
 
 Usage:
   node annotate.js <input> <output> --annotations '<json>' [--theme <name>]
+                   [--font-family <name>] [--font-file <path>]
+                   [--padding <n|top,right,bottom,left|auto>] [--padding-color <color>]
+                   [--format <png|jpeg|webp|avif>] [--quality <1-100>]
+                   [--max-width <px>] [--max-height <px>] [--scale <factor>] [--keep-metadata]
+                   [--device-pixel-ratio <ratio>] [--elements '<json>'] [--sidecar [path]] [--embed]
+                   [--config <file>]
+  node annotate.js <input> <output> --grid [spacing]
+  node annotate.js --validate <input> --annotations '<json>' [options]
+  node annotate.js --rerender <sidecar.json|annotated image> [output] [--input <image>] [--force]
+  node annotate.js --batch <manifest.json> [--concurrency <n>]
+  node annotate.js --batch '<glob>' --annotations '<json>' [--theme <name>] [--output-dir <dir>]
+  node annotate.js --walkthrough <input|scenes.json> <output.gif|webp> [--annotations '<json>']
+                   [--delay <ms>] [--fade <ms>] [--loop <n>] [--theme <name>] [--scale <factor>]
+  node annotate.js --read-annotations <annotated image>
 
 Annotation Types:
   marker      Numbered circle (1, 2, 3...) with shadow
@@ -694,7 +2680,7 @@ Annotation Types:
               { type: "curved-arrow", from: [x,y], to: [x,y], curve?, color? }
 
   callout     Text box with pointer
-              { type: "callout", x, y, text, pointer?: "top"|"bottom"|"left"|"right", color?, background? }
+              { type: "callout", x, y, text, pointer?: "top"|"bottom"|"left"|"right", maxWidth?, color?, background? }
 
   rect        Rectangle highlight
               { type: "rect", x, y, width, height, color?, cornerRadius?, style?: "solid"|"dashed" }
@@ -703,13 +2689,22 @@ Annotation Types:
               { type: "circle", x, y, radius, color?, style?: "solid"|"dashed" }
 
   label       Text label with optional background
-              { type: "label", x, y, text, color?, fontSize?, background? }
+              { type: "label", x, y, text, maxWidth?, color?, fontSize?, background? }
 
   highlight   Semi-transparent overlay
               { type: "highlight", x, y, width, height, color?, opacity? }
 
-  blur        Blur sensitive content
-              { type: "blur", x, y, width, height, intensity? }
+  spotlight   Dim everything except one or more holes
+              { type: "spotlight", x, y, width, height, shape?: "rect"|"rounded"|"circle", opacity?, color?, feather? }
+              or { type: "spotlight", areas: [{ x, y, width, height, shape? }, ...], ... }
+
+  magnify     Zoomed inset of a source region, with a connector back to it
+              { type: "magnify", source: { x, y, width, height }, x, y, zoom?, shape?: "circle"|"rect", color?, connector? }
+              x, y is the center of the inset
+
+  blur        Redact sensitive content (the original pixels are replaced)
+              { type: "blur", x, y, width, height, mode?: "blur"|"pixelate"|"solid", intensity?, color? }
+              intensity is the blur radius (8 to 1000), or the block size in px for pixelate (at least 8)
 
   connector   Dashed line between points
               { type: "connector", from: [x,y], to: [x,y], color? }
@@ -717,11 +2712,86 @@ Annotation Types:
   icon        Icon badge (check, x, warning, info, question)
               { type: "icon", x, y, icon, color?, size? }
 
-Themes: documentation, tutorial, bugReport, highlight
+  grid        Labelled coordinate grid for reading positions off a screenshot
+              { type: "grid", spacing?, majorEvery?, color?, x?, y?, width?, height? }
+              --grid [spacing] renders one on its own (default spacing: 100)
+
+Coordinates (x, y, from, to, width, height, radius) also accept percentages ("50%"),
+edge offsets ("right-20", "bottom-40", "center+10") and, for points, named anchors
+("top-right", "center", "bottom-left"). An "anchor" sets x and y in one go.
+
+Any annotation can take a "target" element box { x, y, width, height } (or the name
+of one in --elements '{"submit": {...}}') instead of its own geometry: shapes
+surround the box, markers and icons sit on a corner, labels and callouts beside it
+and arrows point at its edge. "side" (top, right, top-left, ...) picks where and
+"gap" how far from the box; callouts pick a side that fits by default.
+
+Box-shaped annotations (rect, highlight, circle, blur, spotlight) accept "snap": true
+to tighten a rough box onto the UI element detected in the pixels under it.
+
+--device-pixel-ratio takes annotations in CSS pixels (e.g. element boxes from
+getBoundingClientRect) and scales positions, sizes, strokes and text to match a
+HiDPI capture, e.g. 2 for a Playwright deviceScaleFactor: 2 screenshot.
+
+--sidecar writes <output>.annotations.json next to the image, recording the source
+image (path and hash), theme, options and annotations. Edit it and run --rerender to
+apply it to the original screenshot again. --embed stores the same record in the
+output image's XMP metadata instead, so the image stays re-editable on its own:
+--read-annotations prints it and --rerender accepts the image directly.
+
+Text annotations (marker, callout, label) also accept fontFamily and fontFile.
+Text is drawn from embedded font outlines, so output does not depend on host fonts.
+
+Themes: ${listThemes().join(', ')}
+
+Custom colors, themes and fonts are read from .annotatorrc.json (in the working
+directory or above), the file named by IMAGE_ANNOTATOR_CONFIG, or --config:
+  { "colors": { "brand": "#FF5A00" },
+    "themes": { "acme": { "extends": "documentation", "rect": { "color": "brand" } } },
+    "fonts": { "Brand": "./fonts/Brand.ttf" } }
+A theme holds defaults per annotation type, plus "defaults" for every type and
+"font" for all text.
+
+--batch renders many screenshots in one go, a few at a time (--concurrency, default
+${BATCH_CONCURRENCY}), and reports each one; a failure does not stop the rest. A manifest lists
+items, each with its own input (a path or glob), output and annotations, plus shared
+annotations and options (paths are relative to the manifest):
+  { "theme": "documentation", "outputDir": "annotated",
+    "annotations": [{ "type": "label", "x": "right-120", "y": 20, "text": "v2.0" }],
+    "items": [{ "input": "login.png", "annotations": [...] },
+              { "input": "settings/*.png" }] }
+Outputs default to <name>-annotated<ext> next to the input or in outputDir.
+
+--walkthrough renders an animated GIF or WebP that reveals the annotations one
+frame at a time (an array inside --annotations is revealed as one step). Each frame
+shows for --delay ms (default ${WALKTHROUGH_DELAY}); --fade fades each step in and --loop sets how
+many times it plays (default 0, forever). For several screenshots, pass a JSON file
+of scenes instead of an input (paths are relative to it):
+  [{ "input": "login.png", "steps": [{ "type": "marker", "x": 200, "y": 100, "number": 1 }] },
+   { "input": "done.png", "annotations": [...], "steps": [[...], { "annotations": [...], "duration": 2000 }] }]
+
+Padding grows the canvas around the screenshot so annotations can sit outside it;
+"auto" grows just enough to fit every annotation. Coordinates stay relative to the
+original screenshot.
+
+Output format is taken from --format or the output file extension. --scale or
+--max-width/--max-height downscale the result (e.g. --scale 0.5 for 2x retina
+captures). Metadata is stripped unless --keep-metadata is given.
+
+Fonts: Arimo (clean), Comic Neue (handwriting), or any TTF/OTF/WOFF via fontFile
 
 Colors: red, orange, yellow, green, blue, purple, pink, cyan, teal,
         white, black, gray, lightGray, darkGray,
-        success, warning, error, info, primary, secondary, accent
+        success, warning, error, info, primary, secondary, accent${Object.keys(customColors).length ? `,
+        ${Object.keys(customColors).join(', ')}` : ''}
+        or a hex (#RGB, #RRGGBB, #RRGGBBAA), rgb()/rgba() or hsl()/hsla() value
+
+Annotations are validated before drawing: an unknown type, a missing required field
+(e.g. a marker without x), an unknown color, an out-of-range number (e.g. opacity
+above 1) or an unknown style fails with the annotation's index and field. Unknown
+fields, annotations outside the image and overlapping markers or labels are
+reported as warnings. --validate runs the same checks without rendering and exits
+with 1 if there are errors.
 
 Example:
   node annotate.js screenshot.png annotated.png --theme documentation --annotations '[
@@ -733,33 +2803,226 @@ Example:
     process.exit(args.includes('--help') || args.includes('-h') ? 0 : 1);
   }
 
-  const inputPath = args[0];
-  const outputPath = args[1];
+  if (args[0] === '--read-annotations') {
+    try {
+      const record = await readAnnotations(args[1]);
+      if (!record) {
+        console.error(`No embedded annotation data in ${args[1]}`);
+        process.exit(1);
+      }
+      console.log(JSON.stringify(record, null, 2));
+    } catch (err) {
+      console.error('Error:', err.message);
+      process.exit(1);
+    }
+    return;
+  }
+
+  if (args[0] === '--batch') {
+    const optionArg = flag => {
+      const index = args.indexOf(flag);
+      return index !== -1 ? args[index + 1] : undefined;
+    };
+    try {
+      // A manifest file, or a glob sharing --annotations
+      let manifest;
+      let baseDir = process.cwd();
+      if (args[1].toLowerCase().endsWith('.json') && fs.existsSync(args[1])) {
+        manifest = JSON.parse(fs.readFileSync(args[1], 'utf8'));
+        baseDir = path.dirname(path.resolve(args[1]));
+      } else {
+        manifest = {
+          items: [{ input: args[1] }],
+          annotations: JSON.parse(optionArg('--annotations') || '[]'),
+          outputDir: optionArg('--output-dir'),
+          ...(optionArg('--theme') && { theme: optionArg('--theme') })
+        };
+      }
+
+      const concurrency = Number(optionArg('--concurrency') || manifest.concurrency || BATCH_CONCURRENCY);
+      const report = await annotateBatch(resolveBatch(manifest, baseDir), { concurrency });
+      for (const result of report.results) {
+        if (!result.ok) {
+          console.log(`✗ ${result.input}: ${result.error}`);
+          continue;
+        }
+        console.log(`✓ ${result.input} -> ${result.output} (${result.annotationCount} annotation${result.annotationCount === 1 ? '' : 's'})`);
+        for (const warning of result.warnings) {
+          console.log(`  Warning: ${describeIssue(warning)}`);
+        }
+      }
+      console.log(`\n${report.succeeded} of ${report.total} rendered${report.failed ? `, ${report.failed} failed` : ''}`);
+      if (report.failed) process.exit(1);
+    } catch (err) {
+      console.error('Error:', err.message);
+      process.exit(1);
+    }
+    return;
+  }
+
+  if (args[0] === '--walkthrough') {
+    const optionArg = (flag, parse = v => v) => {
+      const index = args.indexOf(flag);
+      return index !== -1 ? parse(args[index + 1]) : undefined;
+    };
+    try {
+      // A scenes file, or one screenshot revealing --annotations in order
+      let scenes;
+      if (args[1].toLowerCase().endsWith('.json')) {
+        const dir = path.dirname(path.resolve(args[1]));
+        scenes = JSON.parse(fs.readFileSync(args[1], 'utf8'))
+          .map(scene => ({ ...scene, input: path.resolve(dir, scene.input) }));
+      } else {
+        scenes = [{ input: args[1], steps: JSON.parse(optionArg('--annotations') || '[]') }];
+      }
+
+      const result = await createWalkthrough(scenes, args[2], {
+        delay: optionArg('--delay', Number),
+        fade: optionArg('--fade', Number),
+        loop: optionArg('--loop', Number),
+        theme: optionArg('--theme'),
+        scale: optionArg('--scale', Number),
+        maxWidth: optionArg('--max-width', Number),
+        quality: optionArg('--quality', Number)
+      });
+      console.log(`✓ Walkthrough saved: ${result.outputPath}`);
+      console.log(`  Dimensions: ${result.width}x${result.height} (${result.format}, ${result.size} bytes)`);
+      console.log(`  Frames: ${result.frames} (${(result.duration / 1000).toFixed(1)}s)`);
+      for (const warning of result.warnings) {
+        console.log(`  Warning: scene ${warning.scene + 1}, ${describeIssue(warning)}`);
+      }
+    } catch (err) {
+      console.error('Error:', err.message);
+      process.exit(1);
+    }
+    return;
+  }
+
+  if (args[0] === '--rerender') {
+    const inputIndex = args.indexOf('--input');
+    const output = args[2] && !args[2].startsWith('--') ? args[2] : undefined;
+    try {
+      const result = await rerender(args[1], {
+        input: inputIndex !== -1 ? args[inputIndex + 1] : undefined,
+        outputPath: output,
+        force: args.includes('--force')
+      });
+      console.log(`✓ Re-rendered: ${result.outputPath}`);
+      console.log(`  Dimensions: ${result.width}x${result.height} (${result.format}, ${result.size} bytes)`);
+      console.log(`  Annotations: ${result.annotationCount}`);
+    } catch (err) {
+      console.error('Error:', err.message);
+      process.exit(1);
+    }
+    return;
+  }
+
+  // --validate <input> checks the annotations against the image without rendering
+  const validateOnly = args[0] === '--validate';
+  const inputPath = validateOnly ? args[1] : args[0];
+  const outputPath = validateOnly ? null : args[1];
 
   // Parse options
   const annotationsIndex = args.indexOf('--annotations');
   const themeIndex = args.indexOf('--theme');
+  const fontFamilyIndex = args.indexOf('--font-family');
+  const fontFileIndex = args.indexOf('--font-file');
+  const paddingIndex = args.indexOf('--padding');
+  const paddingColorIndex = args.indexOf('--padding-color');
 
-  if (annotationsIndex === -1 || !args[annotationsIndex + 1]) {
+  const gridIndex = args.indexOf('--grid');
+
+  if (gridIndex === -1 && (annotationsIndex === -1 || !args[annotationsIndex + 1])) {
     console.error('Error: --annotations required');
     process.exit(1);
   }
 
-  let annotations;
+  let annotations = [];
+  if (annotationsIndex !== -1) {
+    try {
+      annotations = JSON.parse(args[annotationsIndex + 1]);
+    } catch (e) {
+      console.error('Error parsing annotations JSON:', e.message);
+      process.exit(1);
+    }
+  }
+
+  // A grid goes on top, so it can also be used to check placed annotations
+  if (gridIndex !== -1) {
+    const spacing = Number(args[gridIndex + 1]);
+    annotations.push({ type: 'grid', spacing: spacing > 0 ? spacing : 100 });
+  }
+
+  const theme = themeIndex !== -1 ? args[themeIndex + 1] : null;
+  const font = fontFamilyIndex !== -1 || fontFileIndex !== -1
+    ? {
+      fontFamily: fontFamilyIndex !== -1 ? args[fontFamilyIndex + 1] : undefined,
+      fontFile: fontFileIndex !== -1 ? args[fontFileIndex + 1] : undefined
+    }
+    : null;
+
+  let padding;
+  if (paddingIndex !== -1) {
+    const value = args[paddingIndex + 1];
+    const sides = value === 'auto' ? [] : value.split(',').map(Number);
+    padding = value === 'auto' ? 'auto'
+      : sides.length === 4 ? { top: sides[0], right: sides[1], bottom: sides[2], left: sides[3] }
+        : sides[0];
+  }
+  const paddingColor = paddingColorIndex !== -1 ? args[paddingColorIndex + 1] : undefined;
+
+  const optionValue = (flag, parse = v => v) => {
+    const index = args.indexOf(flag);
+    return index !== -1 ? parse(args[index + 1]) : undefined;
+  };
+  const devicePixelRatio = optionValue('--device-pixel-ratio', Number);
+  const sidecarIndex = args.indexOf('--sidecar');
+  const sidecarPath = args[sidecarIndex + 1];
+  const sidecar = sidecarIndex === -1 ? undefined
+    : sidecarPath && !sidecarPath.startsWith('--') ? sidecarPath : true;
+  const embed = args.includes('--embed');
+
+  let elements;
   try {
-    annotations = JSON.parse(args[annotationsIndex + 1]);
+    elements = optionValue('--elements', JSON.parse);
   } catch (e) {
-    console.error('Error parsing annotations JSON:', e.message);
+    console.error('Error parsing elements JSON:', e.message);
     process.exit(1);
   }
+  const output = {
+    format: optionValue('--format'),
+    quality: optionValue('--quality', Number),
+    maxWidth: optionValue('--max-width', Number),
+    maxHeight: optionValue('--max-height', Number),
+    scale: optionValue('--scale', Number),
+    stripMetadata: !args.includes('--keep-metadata')
+  };
 
-  const theme = themeIndex !== -1 ? args[themeIndex + 1] : null;
+  if (validateOnly) {
+    try {
+      const report = await validateAnnotations(inputPath, annotations, { theme, font, padding, devicePixelRatio, elements });
+      for (const issue of [...report.errors, ...report.warnings]) {
+        console.log(`${issue.level === 'error' ? 'Error' : 'Warning'}: ${describeIssue(issue)}`);
+      }
+      const count = (n, noun) => `${n} ${noun}${n === 1 ? '' : 's'}`;
+      console.log(`${report.valid ? '✓' : '✗'} ${count(annotations.length, 'annotation')}: ${count(report.errors.length, 'error')}, ${count(report.warnings.length, 'warning')}`);
+      if (!report.valid) process.exit(1);
+    } catch (err) {
+      console.error('Error:', err.message);
+      process.exit(1);
+    }
+    return;
+  }
 
   try {
-    const result = await annotateImage(inputPath, outputPath, annotations, { theme });
+    const result = await annotateImage(inputPath, outputPath, annotations, { theme, font, padding, paddingColor, devicePixelRatio, elements, sidecar, embed, ...output });
     console.log(`✓ Annotated image saved: ${result.outputPath}`);
-    console.log(`  Dimensions: ${result.width}x${result.height}`);
+    if (result.sidecarPath) console.log(`  Sidecar: ${result.sidecarPath}`);
+    console.log(`  Dimensions: ${result.width}x${result.height} (${result.format}, ${result.size} bytes)`);
     console.log(`  Annotations: ${result.annotationCount}`);
+    for (const warning of result.warnings) {
+      console.log(`  Warning: ${describeIssue(warning)}`);
+    }
   } catch (err) {
     console.error('Error:', err.message);
     process.exit(1);
@@ -769,8 +3032,34 @@ Example:
 // Export for programmatic use
 module.exports = {
   annotateImage,
+  validateAnnotations,
   buildSvg,
+  layoutStepLabels,
+  getAnnotationBounds,
+  resolveAnnotation,
+  resolvePoint,
+  snapToElement,
+  findElementsNear,
   getImageDimensions,
+  decodeImageData,
+  rerender,
+  resolveBatch,
+  annotateBatch,
+  expandGlob,
+  createWalkthrough,
+  readAnnotations,
+  loadAnnotationRecord,
+  getSidecarPath,
+  registerFont,
+  listFontFamilies,
+  registerColor,
+  registerTheme,
+  listColors,
+  listThemes,
+  loadConfig,
+  loadProjectConfig,
+  ANNOTATION_TYPES,
+  RECORDED_OPTIONS,
   COLORS,
   THEMES
 };
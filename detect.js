@@ -0,0 +1,259 @@
+/**
+ * UI element detection from pixels
+ *
+ * Finds visually distinct regions (buttons, inputs, cards, icons, words)
+ * by separating them from the local background color, so roughly placed
+ * highlights can snap onto the real element bounds.
+ *
+ * @author Varun Dubey
+ * @license MIT
+ */
+
+const sharp = require('sharp');
+
+// Channel difference from the background that counts as part of an element
+const COLOR_THRESHOLD = 12;
+
+// Gap in pixels bridged between parts of one element (letters, icon and text)
+const MERGE_GAP = 3;
+
+// Smallest element side worth reporting
+const MIN_SIZE = 6;
+
+// Minimum match score for a detected box to replace the requested one
+const SNAP_MIN_SCORE = 0.3;
+
+/**
+ * Read a region of the image as raw RGB pixels
+ */
+async function readRegion(input, region) {
+  const { data, info } = await sharp(input)
+    .extract({ left: region.x, top: region.y, width: region.width, height: region.height })
+    .removeAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  return { data, width: info.width, height: info.height, channels: info.channels };
+}
+
+/**
+ * Estimate the background color as the most common color along the region border
+ */
+function backgroundColor({ data, width, height, channels }) {
+  const bins = new Map();
+  const add = (x, y) => {
+    const i = (y * width + x) * channels;
+    const key = (data[i] >> 4) << 8 | (data[i + 1] >> 4) << 4 | data[i + 2] >> 4;
+    const bin = bins.get(key) || { count: 0, r: 0, g: 0, b: 0 };
+    bin.count++;
+    bin.r += data[i];
+    bin.g += data[i + 1];
+    bin.b += data[i + 2];
+    bins.set(key, bin);
+  };
+
+  for (let x = 0; x < width; x++) {
+    add(x, 0);
+    add(x, height - 1);
+  }
+  for (let y = 1; y < height - 1; y++) {
+    add(0, y);
+    add(width - 1, y);
+  }
+
+  let best = null;
+  for (const bin of bins.values()) {
+    if (!best || bin.count > best.count) best = bin;
+  }
+  return [best.r / best.count, best.g / best.count, best.b / best.count];
+}
+
+/**
+ * Mark the pixels that differ from the background
+ */
+function foregroundMask(pixels, background) {
+  const { data, width, height, channels } = pixels;
+  const mask = new Uint8Array(width * height);
+
+  for (let p = 0; p < mask.length; p++) {
+    const i = p * channels;
+    const diff = Math.max(
+      Math.abs(data[i] - background[0]),
+      Math.abs(data[i + 1] - background[1]),
+      Math.abs(data[i + 2] - background[2])
+    );
+    if (diff > COLOR_THRESHOLD) mask[p] = 1;
+  }
+
+  return mask;
+}
+
+/**
+ * Grow the mask by `radius` pixels (a box dilation, run per axis)
+ */
+function dilate(mask, width, height, radius) {
+  const pass = (src, horizontal) => {
+    const out = new Uint8Array(src.length);
+    const [outer, inner] = horizontal ? [height, width] : [width, height];
+    for (let o = 0; o < outer; o++) {
+      let last = -Infinity;
+      // Forward pass remembers the last set pixel, backward pass the next one
+      for (let i = 0; i < inner; i++) {
+        const p = horizontal ? o * width + i : i * width + o;
+        if (src[p]) last = i;
+        if (i - last <= radius) out[p] = 1;
+      }
+      let next = Infinity;
+      for (let i = inner - 1; i >= 0; i--) {
+        const p = horizontal ? o * width + i : i * width + o;
+        if (src[p]) next = i;
+        if (next - i <= radius) out[p] = 1;
+      }
+    }
+    return out;
+  };
+
+  return pass(pass(mask, true), false);
+}
+
+/**
+ * Bounding boxes of the connected regions of the grown mask, measured on
+ * the original mask so the growth does not inflate them
+ */
+function components(mask, grown, width, height) {
+  const labels = new Int32Array(width * height);
+  const stack = new Int32Array(width * height);
+  const boxes = [];
+
+  for (let start = 0; start < grown.length; start++) {
+    if (!grown[start] || labels[start]) continue;
+
+    const box = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity, pixels: 0 };
+    let top = 0;
+    stack[top++] = start;
+    labels[start] = boxes.length + 1;
+
+    while (top) {
+      const p = stack[--top];
+      const x = p % width;
+      const y = (p - x) / width;
+
+      if (mask[p]) {
+        if (x < box.minX) box.minX = x;
+        if (x > box.maxX) box.maxX = x;
+        if (y < box.minY) box.minY = y;
+        if (y > box.maxY) box.maxY = y;
+        box.pixels++;
+      }
+
+      const neighbors = [
+        x > 0 ? p - 1 : -1,
+        x < width - 1 ? p + 1 : -1,
+        y > 0 ? p - width : -1,
+        y < height - 1 ? p + width : -1
+      ];
+      for (const n of neighbors) {
+        if (n !== -1 && grown[n] && !labels[n]) {
+          labels[n] = boxes.length + 1;
+          stack[top++] = n;
+        }
+      }
+    }
+
+    if (box.pixels) boxes.push(box);
+  }
+
+  return boxes.map(b => ({ x: b.minX, y: b.minY, width: b.maxX - b.minX + 1, height: b.maxY - b.minY + 1 }));
+}
+
+/**
+ * Find element boxes inside a region of the image, in image coordinates.
+ * Boxes cut off by the region edge are dropped: they belong to something larger.
+ */
+async function findElements(input, region) {
+  const { width: imageWidth, height: imageHeight } = await sharp(input).metadata();
+
+  const left = Math.max(0, Math.floor(region.x));
+  const top = Math.max(0, Math.floor(region.y));
+  const right = Math.min(imageWidth, Math.ceil(region.x + region.width));
+  const bottom = Math.min(imageHeight, Math.ceil(region.y + region.height));
+  if (right - left < MIN_SIZE || bottom - top < MIN_SIZE) return [];
+
+  const pixels = await readRegion(input, { x: left, y: top, width: right - left, height: bottom - top });
+  const mask = foregroundMask(pixels, backgroundColor(pixels));
+  const grown = dilate(mask, pixels.width, pixels.height, MERGE_GAP);
+
+  return components(mask, grown, pixels.width, pixels.height)
+    .filter(box => box.width >= MIN_SIZE && box.height >= MIN_SIZE)
+    .filter(box =>
+      (box.x > 0 || left === 0) &&
+      (box.y > 0 || top === 0) &&
+      (box.x + box.width < pixels.width || right === imageWidth) &&
+      (box.y + box.height < pixels.height || bottom === imageHeight)
+    )
+    .map(box => ({ x: box.x + left, y: box.y + top, width: box.width, height: box.height }));
+}
+
+/**
+ * Intersection over union of two boxes
+ */
+function iou(a, b) {
+  const w = Math.max(0, Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x));
+  const h = Math.max(0, Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y));
+  const overlap = w * h;
+  return overlap / (a.width * a.height + b.width * b.height - overlap);
+}
+
+/**
+ * Check whether a box contains a point
+ */
+function contains(box, [x, y]) {
+  return x >= box.x && x <= box.x + box.width && y >= box.y && y <= box.y + box.height;
+}
+
+/**
+ * Candidate element boxes near a point, closest first.
+ * Boxes containing the point come first, smallest (most specific) first.
+ */
+async function detectElements(input, x, y, { radius = 150, limit = 10 } = {}) {
+  const boxes = await findElements(input, { x: x - radius, y: y - radius, width: radius * 2, height: radius * 2 });
+
+  return boxes
+    .map(box => {
+      const dx = Math.max(box.x - x, 0, x - (box.x + box.width));
+      const dy = Math.max(box.y - y, 0, y - (box.y + box.height));
+      return { ...box, distance: Math.round(Math.sqrt(dx * dx + dy * dy)), contains: contains(box, [x, y]) };
+    })
+    .sort((a, b) => a.distance - b.distance || a.width * a.height - b.width * b.height)
+    .slice(0, limit);
+}
+
+/**
+ * Tighten a roughly placed box to the element it most likely means: the
+ * detected box that overlaps it best, favoring boxes around its center.
+ * Returns null when nothing nearby is a convincing match.
+ */
+async function snapBox(input, box) {
+  const margin = Math.max(40, Math.max(box.width, box.height) / 2);
+  const region = { x: box.x - margin, y: box.y - margin, width: box.width + margin * 2, height: box.height + margin * 2 };
+  const center = [box.x + box.width / 2, box.y + box.height / 2];
+  const area = box.width * box.height;
+
+  let best = null;
+  for (const candidate of await findElements(input, region)) {
+    const ratio = candidate.width * candidate.height / area;
+    if (ratio < 0.25 || ratio > 4) continue;
+
+    const score = iou(candidate, box) + (contains(candidate, center) ? 0.3 : 0);
+    if (score >= SNAP_MIN_SCORE && (!best || score > best.score)) best = { ...candidate, score };
+  }
+
+  if (!best) return null;
+  const { score, ...snapped } = best;
+  return snapped;
+}
+
+module.exports = {
+  detectElements,
+  snapBox
+};
@@ -0,0 +1,340 @@
+/**
+ * Fonts for text layout and rendering
+ *
+ * Text is measured and drawn with glyph outlines from bundled fonts
+ * (Arimo, metric-compatible with Arial, and Comic Neue, a Comic Sans
+ * alternative) or from font files supplied by the caller. Glyphs are
+ * embedded in the SVG as paths, so renders do not depend on the fonts
+ * installed on the host.
+ *
+ * @author Varun Dubey
+ * @license MIT
+ */
+
+const fontkit = require('fontkit');
+const path = require('path');
+const fs = require('fs');
+
+// Bundled font families (packaged as per-subset WOFF2 files)
+const BUNDLED_FAMILIES = {
+  'Arimo': { package: '@fontsource/arimo', prefix: 'arimo', weights: [400, 500, 600, 700] },
+  'Comic Neue': { package: '@fontsource/comic-neue', prefix: 'comic-neue', weights: [300, 400, 700] }
+};
+
+// Default family for each text style
+const DEFAULT_FAMILIES = {
+  clean: 'Arimo',
+  handwriting: 'Comic Neue'
+};
+
+// Unicode subsets to search for glyphs, most common first
+const SUBSETS = ['latin', 'latin-ext', 'cyrillic', 'cyrillic-ext', 'greek', 'greek-ext', 'vietnamese', 'hebrew'];
+
+// Fallback advances (in em) for glyphs none of the fonts cover
+const WIDE_ADVANCE = 1.0;
+const NARROW_ADVANCE = 0.6;
+
+// Host font stack for characters the fonts cannot draw (CJK, emoji)
+const FALLBACK_FONT = 'sans-serif';
+
+// Families registered at runtime: name -> [{ file, weight }]
+const customFamilies = new Map();
+
+const fileCache = new Map();
+const familyCache = new Map();
+const segmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+
+/**
+ * Normalise a CSS font weight to a number
+ */
+function normalizeWeight(weight) {
+  if (weight === 'bold' || weight === 'bolder') return 700;
+  if (weight === 'normal' || weight == null) return 400;
+  if (weight === 'lighter') return 300;
+  const n = parseInt(weight, 10);
+  return Number.isNaN(n) ? 400 : n;
+}
+
+/**
+ * Pick the available weight closest to the requested one
+ */
+function closestWeight(weights, weight) {
+  return weights.reduce((best, w) =>
+    Math.abs(w - weight) < Math.abs(best - weight) ? w : best
+  );
+}
+
+/**
+ * Open a font file (TTF, OTF, WOFF or WOFF2), cached by resolved path
+ */
+function openFont(file) {
+  const resolved = path.resolve(file);
+
+  if (!fileCache.has(resolved)) {
+    if (!fs.existsSync(resolved)) {
+      throw new Error(`Font file not found: ${file}`);
+    }
+    const font = fontkit.openSync(resolved);
+    // Collections (.ttc) hold several fonts; use the first one
+    fileCache.set(resolved, font.fonts ? font.fonts[0] : font);
+  }
+
+  return fileCache.get(resolved);
+}
+
+/**
+ * Register a font file under a family name, for use as `fontFamily`
+ */
+function registerFont(family, file, { weight = 400 } = {}) {
+  openFont(file);
+
+  const faces = customFamilies.get(family) || [];
+  faces.push({ file, weight: normalizeWeight(weight) });
+  customFamilies.set(family, faces);
+
+  for (const key of familyCache.keys()) {
+    if (key.startsWith(`${family}|`)) familyCache.delete(key);
+  }
+}
+
+/**
+ * List the font families available for `fontFamily`
+ */
+function listFontFamilies() {
+  return [...Object.keys(BUNDLED_FAMILIES), ...customFamilies.keys()];
+}
+
+/**
+ * Load the faces for a family and weight (bundled families have one face per unicode subset)
+ */
+function loadFamily(family, weight) {
+  const custom = customFamilies.get(family);
+  const bundled = BUNDLED_FAMILIES[family];
+
+  if (!custom && !bundled) {
+    throw new Error(`Unknown font family: ${family} (available: ${listFontFamilies().join(', ')})`);
+  }
+
+  const weights = custom ? custom.map(f => f.weight) : bundled.weights;
+  const closest = closestWeight(weights, weight);
+  const key = `${family}|${closest}`;
+
+  if (!familyCache.has(key)) {
+    let faces;
+    if (custom) {
+      faces = custom.filter(f => f.weight === closest).map(f => openFont(f.file));
+    } else {
+      const dir = path.join(path.dirname(require.resolve(`${bundled.package}/package.json`)), 'files');
+      faces = SUBSETS
+        .map(subset => path.join(dir, `${bundled.prefix}-${subset}-${closest}-normal.woff2`))
+        .filter(file => fs.existsSync(file))
+        .map(file => openFont(file));
+    }
+    familyCache.set(key, faces);
+  }
+
+  return familyCache.get(key);
+}
+
+/**
+ * Resolve the faces used for a piece of text, in glyph lookup order.
+ * A fontFile or fontFamily comes first; the default family for the
+ * style backs it up for any glyphs it lacks.
+ */
+function resolveFaces({ fontWeight = 400, handwriting = false, fontFamily = null, fontFile = null } = {}) {
+  const weight = normalizeWeight(fontWeight);
+  const faces = [];
+
+  if (fontFile) faces.push(openFont(fontFile));
+  if (fontFamily) faces.push(...loadFamily(fontFamily, weight));
+  faces.push(...loadFamily(DEFAULT_FAMILIES[handwriting ? 'handwriting' : 'clean'], weight));
+
+  return faces;
+}
+
+/**
+ * Check whether a code point is rendered double-width (CJK, Hangul, emoji)
+ */
+function isWide(cp) {
+  return (cp >= 0x1100 && cp <= 0x115F) ||
+    (cp >= 0x2E80 && cp <= 0xA4CF) ||
+    (cp >= 0xAC00 && cp <= 0xD7A3) ||
+    (cp >= 0xF900 && cp <= 0xFAFF) ||
+    (cp >= 0xFE30 && cp <= 0xFE4F) ||
+    (cp >= 0xFF00 && cp <= 0xFF60) ||
+    (cp >= 0xFFE0 && cp <= 0xFFE6) ||
+    (cp >= 0x1F300 && cp <= 0x1FAFF) ||
+    (cp >= 0x20000 && cp <= 0x3FFFD);
+}
+
+/**
+ * Split text into grapheme clusters (so emoji sequences count once)
+ */
+function graphemes(text) {
+  return Array.from(segmenter.segment(text), s => s.segment);
+}
+
+/**
+ * Lay out a single line of text into runs that share a face.
+ * Runs without a face hold characters no font covers.
+ */
+function layoutText(text, options = {}) {
+  const { fontSize = 16 } = options;
+  const faces = resolveFaces(options);
+  const runs = [];
+  let width = 0;
+  let current = null;
+
+  const flush = () => {
+    if (!current) return;
+    if (current.face) {
+      current.layout = current.face.layout(current.text);
+      current.width = current.layout.advanceWidth * fontSize / current.face.unitsPerEm;
+    }
+    width += current.width;
+    runs.push(current);
+    current = null;
+  };
+
+  for (const g of graphemes(String(text))) {
+    const cp = g.codePointAt(0);
+    const face = faces.find(f => f.hasGlyphForCodePoint(cp)) || null;
+
+    if (!current || current.face !== face) {
+      flush();
+      current = { face, text: '', x: width, width: 0 };
+    }
+
+    current.text += g;
+    if (!face) current.width += (isWide(cp) ? WIDE_ADVANCE : NARROW_ADVANCE) * fontSize;
+  }
+  flush();
+
+  return { runs, width };
+}
+
+/**
+ * Measure the rendered width of a single line of text in pixels
+ */
+function measureText(text, options = {}) {
+  return layoutText(text, options).width;
+}
+
+/**
+ * Render a single line of text as SVG markup with (x, y) on the baseline.
+ * Glyphs become paths; uncovered characters fall back to a host-font <text>.
+ */
+function renderText(text, x, y, options = {}) {
+  const { fontSize = 16, fill = '#000000', anchor = 'start' } = options;
+  const { runs, width } = layoutText(text, options);
+  const originX = anchor === 'middle' ? x - width / 2 : anchor === 'end' ? x - width : x;
+  const parts = [];
+
+  for (const run of runs) {
+    let penX = originX + run.x;
+
+    if (!run.face) {
+      parts.push(`<text x="${penX}" y="${y}" fill="${fill}" font-size="${fontSize}" font-family="${FALLBACK_FONT}">${escapeXml(run.text)}</text>`);
+      continue;
+    }
+
+    const scale = fontSize / run.face.unitsPerEm;
+    const d = [];
+
+    run.layout.glyphs.forEach((glyph, i) => {
+      const pos = run.layout.positions[i];
+      const outline = glyph.path
+        .scale(scale, -scale)
+        .translate(penX + pos.xOffset * scale, y - pos.yOffset * scale)
+        .toSVG();
+      if (outline) d.push(outline);
+      penX += pos.xAdvance * scale;
+    });
+
+    if (d.length) parts.push(`<path d="${d.join(' ')}" fill="${fill}"/>`);
+  }
+
+  return parts.join('\n');
+}
+
+/**
+ * Escape XML special characters
+ */
+function escapeXml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Break a paragraph into wrappable tokens: whitespace, single wide
+ * characters (CJK has no spaces between words) and runs of everything else
+ */
+function tokenize(paragraph) {
+  const tokens = [];
+  for (const g of graphemes(paragraph)) {
+    const kind = /^\s+$/.test(g) ? 'space' : isWide(g.codePointAt(0)) ? 'wide' : 'word';
+    const last = tokens[tokens.length - 1];
+    if (last && last.kind === kind && kind !== 'wide') {
+      last.text += g;
+    } else {
+      tokens.push({ kind, text: g });
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Wrap text into lines no wider than maxWidth pixels.
+ * Explicit newlines are always honored; without maxWidth only they split lines.
+ */
+function wrapText(text, maxWidth, options = {}) {
+  const paragraphs = String(text).split('\n');
+  if (!maxWidth || maxWidth === Infinity) return paragraphs;
+
+  const fits = line => measureText(line, options) <= maxWidth;
+  const lines = [];
+
+  for (const paragraph of paragraphs) {
+    let line = '';
+
+    for (const token of tokenize(paragraph)) {
+      if (token.kind === 'space') {
+        if (line) line += token.text;
+        continue;
+      }
+
+      if (fits((line + token.text).trimEnd())) {
+        line += token.text;
+        continue;
+      }
+
+      if (line.trim()) lines.push(line.trimEnd());
+      line = '';
+
+      // Hard-break tokens that are wider than a whole line on their own
+      for (const g of graphemes(token.text)) {
+        if (line && !fits(line + g)) {
+          lines.push(line);
+          line = '';
+        }
+        line += g;
+      }
+    }
+
+    lines.push(line.trimEnd());
+  }
+
+  return lines;
+}
+
+module.exports = {
+  measureText,
+  renderText,
+  wrapText,
+  registerFont,
+  listFontFamilies
+};
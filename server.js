@@ -19,9 +19,328 @@ const {
 
 const path = require('path');
 const fs = require('fs');
+const sharp = require('sharp');
+const { pathToFileURL } = require('url');
 
 // Import annotation functions
-const { annotateImage, getImageDimensions, COLORS, THEMES } = require('./annotate.js');
+const {
+  annotateImage,
+  createWalkthrough,
+  validateAnnotations,
+  rerender,
+  resolveBatch,
+  annotateBatch,
+  expandGlob,
+  readAnnotations,
+  loadAnnotationRecord,
+  getSidecarPath,
+  getImageDimensions,
+  decodeImageData,
+  layoutStepLabels,
+  resolveAnnotation,
+  snapToElement,
+  findElementsNear,
+  listColors,
+  listThemes,
+  loadProjectConfig,
+  ANNOTATION_TYPES
+} = require('./annotate.js');
+const {
+  openSession,
+  addAnnotations,
+  updateAnnotation,
+  removeAnnotations,
+  undo,
+  listAnnotations,
+  renderSession
+} = require('./session.js');
+const {
+  configureAccess,
+  checkPath,
+  checkOutputPath,
+  getOutputDirectory,
+  listAllowedDirectories
+} = require('./access.js');
+
+// Project themes, colors and fonts (IMAGE_ANNOTATOR_CONFIG or .annotatorrc.json),
+// loaded before the tool schemas so they can list them
+let configPath;
+try {
+  configPath = loadProjectConfig();
+} catch (error) {
+  console.error(`Config error: ${error.message}`);
+  process.exit(1);
+}
+
+// Allowed directories from the command line and IMAGE_ANNOTATOR_ALLOWED_DIRS:
+//   server.js [dir...] [--output-dir <dir>] [--allow-overwrite]
+// With none, tools may read and write any path.
+try {
+  const argv = process.argv.slice(2);
+  const outputIndex = argv.indexOf('--output-dir');
+  const directories = argv.filter((arg, i) => !arg.startsWith('--') && (outputIndex === -1 || i !== outputIndex + 1));
+  const envDirectories = (process.env.IMAGE_ANNOTATOR_ALLOWED_DIRS || '').split(path.delimiter).filter(Boolean);
+
+  configureAccess({
+    directories: [...directories, ...envDirectories],
+    outputDirectory: outputIndex !== -1 ? argv[outputIndex + 1] : process.env.IMAGE_ANNOTATOR_OUTPUT_DIR,
+    allowInputOverwrite: argv.includes('--allow-overwrite') || process.env.IMAGE_ANNOTATOR_ALLOW_OVERWRITE === '1'
+  });
+} catch (error) {
+  console.error(`Access error: ${error.message}`);
+  process.exit(1);
+}
+
+// Theme names, built-in and from the project config
+const themeSchema = {
+  type: 'string',
+  enum: listThemes(),
+  description: 'Apply a preset theme for consistent styling'
+};
+
+// Color field: a named color, or a hex, rgb() or hsl() value
+const colorSchema = {
+  type: 'string',
+  description: `Named color (${listColors().join(', ')}), or a hex, rgb()/rgba() or hsl()/hsla() value`
+};
+
+// Canvas padding schema shared by tools that can place annotations outside the image
+const paddingSchema = {
+  description: 'Grow the canvas around the screenshot: pixels on every side, { top, right, bottom, left }, or "auto" to fit all annotations. Coordinates stay relative to the original screenshot.',
+  anyOf: [
+    { type: 'number' },
+    { type: 'string', enum: ['auto'] },
+    {
+      type: 'object',
+      properties: {
+        top: { type: 'number' },
+        right: { type: 'number' },
+        bottom: { type: 'number' },
+        left: { type: 'number' }
+      }
+    }
+  ]
+};
+
+// Coordinates accept pixels or values relative to the image size
+function coordinateSchema(axis, description = `${axis.toUpperCase()} coordinate`) {
+  const edge = axis === 'x' ? 'right-20' : 'bottom-20';
+  return {
+    type: ['number', 'string'],
+    description: `${description}: pixels, a percentage ("50%") or an edge offset ("${edge}", "center")`
+  };
+}
+
+function lengthSchema(description = 'Size') {
+  return {
+    type: ['number', 'string'],
+    description: `${description}: pixels or a percentage of the image ("25%")`
+  };
+}
+
+const pointSchema = {
+  description: '[x, y] with pixel or relative values, or a named anchor ("top-right", "center", ...)',
+  anyOf: [
+    { type: 'array', items: { type: ['number', 'string'] } },
+    { type: 'string' }
+  ]
+};
+
+// Element bounding box, e.g. from Playwright's boundingBox()
+const boxSchema = {
+  type: 'object',
+  properties: {
+    x: coordinateSchema('x'),
+    y: coordinateSchema('y'),
+    width: lengthSchema('Width'),
+    height: lengthSchema('Height')
+  },
+  required: ['x', 'y', 'width', 'height']
+};
+
+// Where an annotation sits relative to its target box
+const sideSchema = {
+  type: 'string',
+  enum: ['auto', 'center', 'top', 'bottom', 'left', 'right', 'top-left', 'top-right', 'bottom-left', 'bottom-right'],
+  description: 'Side or corner of the target to attach to (default depends on type; callouts pick a side that fits)'
+};
+
+// Alternative to input_path for screenshots handed over as data (e.g. from Playwright MCP)
+const inputBase64Schema = {
+  type: 'string',
+  description: 'Base64 image data or a data URL, instead of input_path'
+};
+
+// Output encoding options shared by every tool that writes an image
+const outputOptionsSchema = {
+  return_base64: {
+    type: 'boolean',
+    description: 'Return the result inline instead of writing a file (default: true for input_base64 without output_path)'
+  },
+  output_format: {
+    type: 'string',
+    enum: ['png', 'jpeg', 'webp', 'avif'],
+    description: 'Output format (default: from output_path extension, else png)'
+  },
+  output_quality: { type: 'number', description: 'Encoder quality 1-100 (PNG: palette quantisation)' },
+  output_max_width: { type: 'number', description: 'Downscale to fit this width' },
+  output_max_height: { type: 'number', description: 'Downscale to fit this height' },
+  output_scale: { type: 'number', description: 'Scale the result, e.g. 0.5 for 2x retina captures' },
+  strip_metadata: { type: 'boolean', description: 'Strip EXIF/ICC/XMP metadata (default: true)' },
+  embed_annotations: {
+    type: 'boolean',
+    description: 'Store the annotations, theme and source hash in the output image metadata (XMP), for read_annotations and rerender_annotations'
+  },
+  write_sidecar: {
+    type: 'boolean',
+    description: 'Also write <output>.annotations.json (source image, theme, annotations) for editing and rerender_annotations'
+  },
+  return_image: {
+    type: 'boolean',
+    description: 'Include the rendered image in the response so you can check placement (default: true for images up to 1920x1080 pixels)'
+  },
+  preview_max_size: {
+    type: 'number',
+    description: 'Downscale the returned image so its longest side fits this size (optional)'
+  }
+};
+
+// Annotations authored in CSS pixels on a HiDPI capture (not the same as output_scale)
+const devicePixelRatioSchema = {
+  type: 'number',
+  description: 'Treat coordinates, sizes, strokes and font sizes as CSS pixels and scale them by this ratio, e.g. 2 for a Playwright deviceScaleFactor: 2 screenshot (default: 1)'
+};
+
+// A step in create_step_guide and create_multi_image_guide
+const stepSchema = {
+  type: 'object',
+  properties: {
+    x: coordinateSchema('x', 'X coordinate for marker'),
+    y: coordinateSchema('y', 'Y coordinate for marker'),
+    label: { type: 'string', description: 'Step description' },
+    color: { type: 'string', description: 'Color (optional)' },
+    position: {
+      type: 'string',
+      enum: ['auto', 'right', 'left', 'below', 'above'],
+      description: 'Label position relative to the marker (default: auto)'
+    }
+  },
+  required: ['x', 'y', 'label']
+};
+
+// Numbering and styling shared by the step guide tools
+const stepGuideOptionsSchema = {
+  start: {
+    type: 'number',
+    description: 'Number of the first step, e.g. 4 to carry on from an earlier guide (default: 1)'
+  },
+  numbering: {
+    type: 'string',
+    enum: ['decimal', 'upper-alpha', 'lower-alpha', 'upper-roman', 'lower-roman'],
+    description: 'Marker numbering: 1, 2, 3 / A, B, C / a, b, c / I, II, III / i, ii, iii (default: decimal)'
+  },
+  colors: {
+    type: 'array',
+    items: colorSchema,
+    description: 'Marker colors, cycled by step number (default: primary, green, orange, purple, cyan)'
+  },
+  connect_steps: {
+    type: 'boolean',
+    description: 'Draw dashed lines connecting steps on each image (default: true)'
+  },
+  label_max_width: {
+    type: 'number',
+    description: 'Wrap step labels to this width in pixels (optional)'
+  },
+  theme: themeSchema
+};
+
+// A single annotation, shared by annotate_screenshot and the session tools
+const annotationSchema = {
+  type: 'object',
+  properties: {
+    type: {
+      type: 'string',
+      enum: ANNOTATION_TYPES,
+      description: 'Annotation type'
+    },
+    x: coordinateSchema('x'),
+    y: coordinateSchema('y'),
+    anchor: { type: 'string', description: 'Named anchor for x/y: top-left, top, top-right, left, center, right, bottom-left, bottom, bottom-right' },
+    target: {
+      description: 'Element box to attach to, or the name of one in elements. Shapes surround it, markers/icons sit on a corner, labels/callouts beside it, arrows point at its edge.',
+      anyOf: [boxSchema, { type: 'string' }]
+    },
+    side: sideSchema,
+    gap: { type: 'number', description: 'Space between the target box and the annotation' },
+    snap: { type: 'boolean', description: 'Tighten rect/highlight/circle/blur/spotlight boxes onto the UI element detected under them' },
+    number: { type: ['number', 'string'], description: 'Number for markers, or a short string such as a letter or roman numeral ("a", "IV")' },
+    text: { type: 'string', description: 'Text for labels/callouts' },
+    from: { ...pointSchema, description: `Start point: ${pointSchema.description}` },
+    to: { ...pointSchema, description: `End point: ${pointSchema.description}` },
+    width: lengthSchema('Width'),
+    height: lengthSchema('Height'),
+    radius: lengthSchema('Radius'),
+    color: colorSchema,
+    background: colorSchema,
+    size: { type: 'number' },
+    fontSize: { type: 'number' },
+    maxWidth: lengthSchema('Wrap label/callout text to this width'),
+    fontFamily: { type: 'string', description: 'Font family for this annotation' },
+    fontFile: { type: 'string', description: 'Path to a font file for this annotation' },
+    strokeWidth: { type: 'number' },
+    style: { type: 'string', enum: ['filled', 'outline', 'badge', 'solid', 'dashed'] },
+    pointer: { type: 'string', enum: ['top', 'bottom', 'left', 'right'] },
+    icon: { type: 'string', enum: ['check', 'x', 'warning', 'info', 'question'] },
+    shadow: { type: 'boolean' },
+    curve: { type: 'number' },
+    cornerRadius: { type: 'number' },
+    opacity: { type: 'number' },
+    shape: { type: 'string', enum: ['rect', 'rounded', 'circle'], description: 'Hole shape for spotlight, lens shape for magnify' },
+    areas: {
+      type: 'array',
+      description: 'Holes for spotlight: [{ x, y, width, height, shape?, radius?, cornerRadius? }]',
+      items: { type: 'object' }
+    },
+    feather: { type: 'number', description: 'Spotlight edge softness in pixels' },
+    source: {
+      type: 'object',
+      description: 'Region to magnify: { x, y, width, height }',
+      properties: {
+        x: coordinateSchema('x'),
+        y: coordinateSchema('y'),
+        width: lengthSchema('Width'),
+        height: lengthSchema('Height')
+      }
+    },
+    zoom: { type: 'number', description: 'Magnification factor (default: 2)' },
+    connector: { type: 'boolean', description: 'Draw a line from the magnified region to its inset' },
+    mode: { type: 'string', enum: ['blur', 'pixelate', 'solid'], description: 'Redaction mode for blur' },
+    intensity: { type: 'number', description: 'Blur radius (8 to 1000), or block size for pixelate (min 8)' },
+    spacing: { type: 'number', description: 'Grid line spacing in pixels (default: 100)' }
+  },
+  required: ['type']
+};
+
+// An annotation in a session, optionally with its own id
+const sessionAnnotationSchema = {
+  ...annotationSchema,
+  properties: {
+    id: { type: 'string', description: 'Stable id (optional, assigned if missing)' },
+    ...annotationSchema.properties
+  }
+};
+
+// Images up to this many pixels are returned inline by default
+const INLINE_IMAGE_MAX_PIXELS = 1920 * 1080;
+
+// Formats MCP clients can display as-is
+const INLINE_MIME_TYPES = {
+  png: 'image/png',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp',
+  gif: 'image/gif'
+};
 
 // Tool definitions
 const tools = [
@@ -38,15 +357,21 @@ Annotation types available:
 • circle - Circle highlights
 • label - Text labels with optional backgrounds
 • highlight - Semi-transparent overlays
-• blur - Blur sensitive content
+• spotlight - Dim everything except one or more areas of interest
+• magnify - Zoomed inset of a small region (x, y is the inset center)
+• blur - Redact sensitive content (blur, pixelate or solid fill of the real pixels)
 • connector - Dashed lines between elements
 • icon - Icon badges (check, x, warning, info, question)
+• grid - Labelled coordinate grid (spacing), e.g. to check positions
+
+Themes: ${listThemes().join(', ')}
+
+Fonts: text is drawn from embedded font outlines (Arimo, Comic Neue, or a
+font file), so renders look identical on every machine.
 
-Themes: documentation, tutorial, bugReport, highlight
+Colors: ${listColors().join(', ')}
 
-Colors: red, orange, yellow, green, blue, purple, pink, cyan, teal,
-        white, black, gray, lightGray, darkGray,
-        success, warning, error, info, primary, secondary, accent`,
+Custom themes, colors and fonts come from the project's .annotatorrc.json.`,
     inputSchema: {
       type: 'object',
       properties: {
@@ -54,53 +379,39 @@ Colors: red, orange, yellow, green, blue, purple, pink, cyan, teal,
           type: 'string',
           description: 'Absolute path to the input screenshot'
         },
+        input_base64: inputBase64Schema,
         output_path: {
           type: 'string',
           description: 'Output path (optional, defaults to input-annotated.png)'
         },
-        theme: {
+        ...outputOptionsSchema,
+        device_pixel_ratio: devicePixelRatioSchema,
+        theme: themeSchema,
+        font_family: {
+          type: 'string',
+          description: 'Font family for all text: Arimo, Comic Neue, or a registered family (optional)'
+        },
+        font_file: {
+          type: 'string',
+          description: 'Path to a TTF/OTF/WOFF/WOFF2 font used for all text (optional)'
+        },
+        padding: paddingSchema,
+        padding_color: {
           type: 'string',
-          enum: ['documentation', 'tutorial', 'bugReport', 'highlight'],
-          description: 'Apply a preset theme for consistent styling'
+          description: 'Background color of the padding (default: white)'
+        },
+        elements: {
+          type: 'object',
+          description: 'Named element boxes for annotation targets, e.g. { "submit": { x, y, width, height } }',
+          additionalProperties: boxSchema
         },
         annotations: {
           type: 'array',
           description: 'Array of annotation objects',
-          items: {
-            type: 'object',
-            properties: {
-              type: {
-                type: 'string',
-                enum: ['marker', 'arrow', 'curved-arrow', 'callout', 'rect', 'circle', 'label', 'highlight', 'blur', 'connector', 'icon'],
-                description: 'Annotation type'
-              },
-              x: { type: 'number', description: 'X coordinate' },
-              y: { type: 'number', description: 'Y coordinate' },
-              number: { type: 'number', description: 'Number for markers' },
-              text: { type: 'string', description: 'Text for labels/callouts' },
-              from: { type: 'array', items: { type: 'number' }, description: '[x, y] start point' },
-              to: { type: 'array', items: { type: 'number' }, description: '[x, y] end point' },
-              width: { type: 'number' },
-              height: { type: 'number' },
-              radius: { type: 'number' },
-              color: { type: 'string' },
-              background: { type: 'string' },
-              size: { type: 'number' },
-              fontSize: { type: 'number' },
-              strokeWidth: { type: 'number' },
-              style: { type: 'string', enum: ['filled', 'outline', 'badge', 'solid', 'dashed'] },
-              pointer: { type: 'string', enum: ['top', 'bottom', 'left', 'right'] },
-              icon: { type: 'string', enum: ['check', 'x', 'warning', 'info', 'question'] },
-              shadow: { type: 'boolean' },
-              curve: { type: 'number' },
-              cornerRadius: { type: 'number' },
-              opacity: { type: 'number' }
-            },
-            required: ['type']
-          }
+          items: annotationSchema
         }
       },
-      required: ['input_path', 'annotations']
+      required: ['annotations']
     }
   },
   {
@@ -112,9 +423,10 @@ Colors: red, orange, yellow, green, blue, purple, pink, cyan, teal,
         image_path: {
           type: 'string',
           description: 'Absolute path to the image'
-        }
+        },
+        image_base64: inputBase64Schema
       },
-      required: ['image_path']
+      required: []
     }
   },
   {
@@ -122,6 +434,8 @@ Colors: red, orange, yellow, green, blue, purple, pink, cyan, teal,
     description: `Create a numbered step-by-step guide on a screenshot.
 
 Automatically places numbered markers with labels and connecting arrows.
+Each label is placed right, left, below or above its marker so it stays
+inside the image and clear of other markers and labels.
 Perfect for tutorials and documentation.`,
     inputSchema: {
       type: 'object',
@@ -130,34 +444,125 @@ Perfect for tutorials and documentation.`,
           type: 'string',
           description: 'Path to input screenshot'
         },
+        input_base64: inputBase64Schema,
         output_path: {
           type: 'string',
           description: 'Output path (optional)'
         },
+        ...outputOptionsSchema,
+        device_pixel_ratio: devicePixelRatioSchema,
         steps: {
           type: 'array',
           description: 'Array of steps',
+          items: stepSchema
+        },
+        ...stepGuideOptionsSchema
+      },
+      required: ['steps']
+    }
+  },
+  {
+    name: 'create_multi_image_guide',
+    description: `Create a step-by-step guide that spans several screenshots.
+
+Takes the screenshots in order, each with its own steps, and numbers the steps
+continuously across them (a five-page tutorial runs 1-12 rather than restarting
+at 1 on every page). Numbering can start at any number and use letters or roman
+numerals, and each step keeps the same color wherever it appears. Each image is
+written to its own output (default: <name>-guide next to it).`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        images: {
+          type: 'array',
+          description: 'Screenshots in guide order',
           items: {
             type: 'object',
             properties: {
-              x: { type: 'number', description: 'X coordinate for marker' },
-              y: { type: 'number', description: 'Y coordinate for marker' },
-              label: { type: 'string', description: 'Step description' },
-              color: { type: 'string', description: 'Color (optional)' }
+              input_path: { type: 'string', description: 'Path to the screenshot' },
+              input_base64: inputBase64Schema,
+              output_path: { type: 'string', description: 'Output path (optional)' },
+              steps: {
+                type: 'array',
+                description: 'Steps on this screenshot, in order',
+                items: stepSchema
+              }
             },
-            required: ['x', 'y', 'label']
+            required: ['steps']
           }
         },
-        connect_steps: {
-          type: 'boolean',
-          description: 'Draw dashed lines connecting steps (default: true)'
+        ...outputOptionsSchema,
+        device_pixel_ratio: devicePixelRatioSchema,
+        ...stepGuideOptionsSchema
+      },
+      required: ['images']
+    }
+  },
+  {
+    name: 'create_walkthrough',
+    description: `Create an animated GIF or WebP walkthrough from one or more screenshots.
+
+Each frame reveals the next step (a numbered marker with its label), so the
+sequence is clear in a changelog or PR description. Steps are numbered
+continuously across screenshots, as in create_multi_image_guide. Set delay for
+the time per frame (a step's duration overrides it), fade to fade each step in
+and loop for how many times it plays. Use output_scale or output_max_width to
+keep the file small.`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        images: {
+          type: 'array',
+          description: 'Screenshots in order',
+          items: {
+            type: 'object',
+            properties: {
+              input_path: { type: 'string', description: 'Path to the screenshot' },
+              input_base64: inputBase64Schema,
+              annotations: {
+                type: 'array',
+                description: 'Annotations shown on every frame of this screenshot (optional)',
+                items: annotationSchema
+              },
+              steps: {
+                type: 'array',
+                description: 'Steps revealed one frame at a time',
+                items: {
+                  ...stepSchema,
+                  properties: {
+                    ...stepSchema.properties,
+                    duration: { type: 'number', description: 'Milliseconds to show this step\'s frame (optional)' }
+                  }
+                }
+              }
+            },
+            required: ['steps']
+          }
         },
-        theme: {
+        output_path: {
           type: 'string',
-          enum: ['documentation', 'tutorial', 'bugReport', 'highlight']
-        }
+          description: 'Output .gif or .webp (default: <first screenshot>-walkthrough.gif)'
+        },
+        output_format: {
+          type: 'string',
+          enum: ['gif', 'webp'],
+          description: 'Animation format (default: from output_path extension, else gif)'
+        },
+        delay: { type: 'number', description: 'Milliseconds per frame (default: 1000)' },
+        fade: { type: 'number', description: 'Milliseconds to fade each new frame in (default: 0, no fade)' },
+        loop: { type: 'number', description: 'Times to play; 0 loops forever (default: 0)' },
+        padding: paddingSchema,
+        padding_color: { type: 'string', description: 'Background color of the padding (default: white)' },
+        device_pixel_ratio: devicePixelRatioSchema,
+        return_base64: outputOptionsSchema.return_base64,
+        output_quality: { type: 'number', description: 'WebP quality 1-100' },
+        output_max_width: outputOptionsSchema.output_max_width,
+        output_max_height: outputOptionsSchema.output_max_height,
+        output_scale: outputOptionsSchema.output_scale,
+        return_image: outputOptionsSchema.return_image,
+        ...stepGuideOptionsSchema
       },
-      required: ['input_path', 'steps']
+      required: ['images']
     }
   },
   {
@@ -167,25 +572,32 @@ Perfect for tutorials and documentation.`,
       type: 'object',
       properties: {
         input_path: { type: 'string' },
+        input_base64: inputBase64Schema,
         output_path: { type: 'string' },
+        ...outputOptionsSchema,
+        device_pixel_ratio: devicePixelRatioSchema,
         shape: {
           type: 'string',
           enum: ['circle', 'rect', 'highlight'],
           description: 'Shape type'
         },
-        x: { type: 'number' },
-        y: { type: 'number' },
-        width: { type: 'number', description: 'Width (or diameter for circle)' },
-        height: { type: 'number', description: 'Height (for rect only)' },
+        x: coordinateSchema('x'),
+        y: coordinateSchema('y'),
+        width: lengthSchema('Width (or diameter for circle)'),
+        height: lengthSchema('Height (for rect only)'),
         color: { type: 'string', description: 'Color (default: red)' },
         label: { type: 'string', description: 'Optional label' },
         label_position: {
           type: 'string',
           enum: ['top', 'bottom', 'left', 'right'],
           description: 'Label position relative to shape'
+        },
+        snap: {
+          type: 'boolean',
+          description: 'Tighten the shape onto the UI element detected under it, for guessed coordinates (default: false)'
         }
       },
-      required: ['input_path', 'shape', 'x', 'y', 'width']
+      required: ['shape', 'x', 'y', 'width']
     }
   },
   {
@@ -195,36 +607,431 @@ Perfect for tutorials and documentation.`,
       type: 'object',
       properties: {
         input_path: { type: 'string' },
+        input_base64: inputBase64Schema,
         output_path: { type: 'string' },
-        x: { type: 'number', description: 'X coordinate where pointer points' },
-        y: { type: 'number', description: 'Y coordinate where pointer points' },
+        ...outputOptionsSchema,
+        device_pixel_ratio: devicePixelRatioSchema,
+        x: coordinateSchema('x', 'X coordinate where pointer points'),
+        y: coordinateSchema('y', 'Y coordinate where pointer points'),
         text: { type: 'string', description: 'Callout text (supports \\n for newlines)' },
         pointer: {
           type: 'string',
           enum: ['top', 'bottom', 'left', 'right'],
           description: 'Direction the pointer comes from'
         },
+        max_width: lengthSchema('Wrap text to this width (optional)'),
         color: { type: 'string' },
-        background: { type: 'string' }
+        background: { type: 'string' },
+        padding: paddingSchema,
+        padding_color: { type: 'string', description: 'Background color of the padding (default: white)' }
+      },
+      required: ['x', 'y', 'text']
+    }
+  },
+  {
+    name: 'spotlight_area',
+    description: `Dim the whole image except one or more areas of interest.
+
+Pass a single area with x, y, width, height (or x, y, radius for a circle),
+or several with areas. Circles use x, y as their center.`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        input_path: { type: 'string' },
+        input_base64: inputBase64Schema,
+        output_path: { type: 'string' },
+        ...outputOptionsSchema,
+        device_pixel_ratio: devicePixelRatioSchema,
+        x: coordinateSchema('x'),
+        y: coordinateSchema('y'),
+        width: lengthSchema('Width'),
+        height: lengthSchema('Height'),
+        radius: lengthSchema('Radius (for circle only)'),
+        shape: {
+          type: 'string',
+          enum: ['rect', 'rounded', 'circle'],
+          description: 'Hole shape (default: rounded)'
+        },
+        areas: {
+          type: 'array',
+          description: 'Several holes instead of a single x/y/width/height',
+          items: {
+            type: 'object',
+            properties: {
+              x: coordinateSchema('x'),
+              y: coordinateSchema('y'),
+              width: lengthSchema('Width'),
+              height: lengthSchema('Height'),
+              radius: lengthSchema('Radius'),
+              shape: { type: 'string', enum: ['rect', 'rounded', 'circle'] },
+              cornerRadius: { type: 'number' }
+            },
+            required: ['x', 'y']
+          }
+        },
+        opacity: { type: 'number', description: 'Dim opacity (default: 0.6)' },
+        color: { type: 'string', description: 'Dim color (default: black)' },
+        feather: { type: 'number', description: 'Edge softness in pixels (default: 0)' }
+      },
+      required: []
+    }
+  },
+  {
+    name: 'annotate_elements',
+    description: `Annotate page elements straight from their bounding boxes.
+
+Pass boxes as returned by Playwright (boundingBox() or getBoundingClientRect()).
+Each element is outlined and labelled: with a callout on whichever side fits,
+a numbered marker on its corner plus a label, or a plain label.`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        input_path: { type: 'string' },
+        input_base64: inputBase64Schema,
+        output_path: { type: 'string' },
+        ...outputOptionsSchema,
+        device_pixel_ratio: devicePixelRatioSchema,
+        elements: {
+          type: 'array',
+          description: 'Elements to annotate',
+          items: {
+            type: 'object',
+            properties: {
+              box: boxSchema,
+              label: { type: 'string', description: 'Text for the element (optional)' },
+              color: { type: 'string', description: 'Color (optional)' },
+              side: sideSchema
+            },
+            required: ['box']
+          }
+        },
+        style: {
+          type: 'string',
+          enum: ['callout', 'marker', 'label'],
+          description: 'How labels are drawn (default: callout)'
+        },
+        outline: {
+          type: 'boolean',
+          description: 'Draw a rectangle around each element (default: true)'
+        },
+        label_max_width: {
+          type: 'number',
+          description: 'Wrap labels to this width in pixels (optional)'
+        },
+        theme: themeSchema,
+        padding: paddingSchema,
+        padding_color: { type: 'string', description: 'Background color of the padding (default: white)' }
+      },
+      required: ['elements']
+    }
+  },
+  {
+    name: 'render_coordinate_grid',
+    description: `Render a copy of a screenshot with a labelled coordinate grid.
+
+Lines every \`spacing\` pixels are labelled along the top and left edges, and
+major crossings show "x,y". Read positions off it before calling
+annotate_screenshot. Returned inline by default; no file is written unless
+output_path is given.`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        input_path: { type: 'string' },
+        input_base64: inputBase64Schema,
+        output_path: { type: 'string', description: 'Write the grid image here (optional)' },
+        ...outputOptionsSchema,
+        device_pixel_ratio: devicePixelRatioSchema,
+        spacing: { type: 'number', description: 'Grid line spacing in pixels (default: 100)' },
+        major_every: { type: 'number', description: 'Draw and label crossings on every nth line (default: 5)' },
+        color: { type: 'string', description: 'Grid color (default: red)' },
+        x: coordinateSchema('x', 'Left of the gridded region (optional)'),
+        y: coordinateSchema('y', 'Top of the gridded region (optional)'),
+        width: lengthSchema('Width of the gridded region (optional)'),
+        height: lengthSchema('Height of the gridded region (optional)')
+      },
+      required: []
+    }
+  },
+  {
+    name: 'batch_annotate',
+    description: `Annotate many screenshots in one call, rendering a few at a time.
+
+Give items (each an input path or glob with its own annotations and output), or
+manifest_path for a JSON manifest in the CLI --batch format. Shared annotations
+are drawn under each item's own; theme and output options apply to every item.
+Outputs default to <name>-annotated<ext> next to each input, or in output_dir.
+One failing item does not stop the rest; returns a line per image with its
+output or error.`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        items: {
+          type: 'array',
+          description: 'Images to annotate',
+          items: {
+            type: 'object',
+            properties: {
+              input_path: { type: 'string', description: 'Screenshot path, or a glob such as "shots/*.png" for several' },
+              output_path: { type: 'string', description: 'Output path (single input only)' },
+              output_dir: { type: 'string', description: 'Directory for this item\'s outputs' },
+              annotations: { type: 'array', items: annotationSchema },
+              theme: themeSchema
+            },
+            required: ['input_path']
+          }
+        },
+        manifest_path: { type: 'string', description: 'JSON batch manifest, instead of items (paths in it are relative to it)' },
+        annotations: {
+          type: 'array',
+          description: 'Annotations for every image, drawn under each item\'s own',
+          items: annotationSchema
+        },
+        theme: themeSchema,
+        output_dir: { type: 'string', description: 'Directory for outputs (default: next to each input)' },
+        concurrency: { type: 'number', description: 'Images rendered at once (default: 4)' },
+        font_family: { type: 'string', description: 'Font family for all text (optional)' },
+        font_file: { type: 'string', description: 'Path to a font file used for all text (optional)' },
+        padding: paddingSchema,
+        padding_color: { type: 'string', description: 'Background color of the padding (default: white)' },
+        device_pixel_ratio: devicePixelRatioSchema,
+        output_format: outputOptionsSchema.output_format,
+        output_quality: outputOptionsSchema.output_quality,
+        output_max_width: outputOptionsSchema.output_max_width,
+        output_max_height: outputOptionsSchema.output_max_height,
+        output_scale: outputOptionsSchema.output_scale,
+        strip_metadata: outputOptionsSchema.strip_metadata,
+        embed_annotations: outputOptionsSchema.embed_annotations,
+        write_sidecar: outputOptionsSchema.write_sidecar
+      },
+      required: []
+    }
+  },
+  {
+    name: 'validate_annotations',
+    description: `Check annotations against a screenshot without rendering anything.
+
+Runs the same checks as annotate_screenshot and returns a JSON report: errors
+(unknown types, missing required fields, invalid colors and values) that would
+stop a render, and warnings (unknown fields, annotations outside the image,
+overlapping markers and labels) that would not. Issues name the annotation by
+index and type.`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        input_path: { type: 'string' },
+        input_base64: inputBase64Schema,
+        annotations: {
+          type: 'array',
+          description: 'Annotations to check, as for annotate_screenshot',
+          items: annotationSchema
+        },
+        theme: themeSchema,
+        font_family: { type: 'string', description: 'Font family for all text (optional)' },
+        font_file: { type: 'string', description: 'Path to a font file used for all text (optional)' },
+        padding: paddingSchema,
+        elements: {
+          type: 'object',
+          description: 'Named element boxes for annotation targets',
+          additionalProperties: boxSchema
+        },
+        device_pixel_ratio: devicePixelRatioSchema
+      },
+      required: ['annotations']
+    }
+  },
+  {
+    name: 'rerender_annotations',
+    description: `Re-apply an annotation sidecar (.annotations.json), or an image with
+embedded annotations, to its original image.
+
+Edit the sidecar's annotations (fix a typo, move a marker) and call this to
+render again without rebuilding the whole request. The source image must match
+the hash recorded in the sidecar unless force is set.`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        sidecar_path: { type: 'string', description: 'Path to the .annotations.json sidecar, or to an image rendered with embed_annotations' },
+        input_path: { type: 'string', description: 'Original image, if it moved or was given as data (optional)' },
+        input_base64: inputBase64Schema,
+        output_path: { type: 'string', description: 'Output path (optional, defaults to the recorded output)' },
+        force: { type: 'boolean', description: 'Render even if the source image changed (default: false)' },
+        return_image: outputOptionsSchema.return_image,
+        preview_max_size: outputOptionsSchema.preview_max_size
+      },
+      required: ['sidecar_path']
+    }
+  },
+  {
+    name: 'read_annotations',
+    description: 'Read the annotations, theme and source image hash embedded in an annotated image (rendered with embed_annotations).',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        image_path: { type: 'string', description: 'Path to the annotated image' },
+        image_base64: inputBase64Schema
+      },
+      required: []
+    }
+  },
+  {
+    name: 'open_annotation_session',
+    description: `Open an editing session on a screenshot for iterative annotation.
+
+The server keeps the annotation stack in memory and gives every annotation a
+stable id, so add_annotation, update_annotation, remove_annotation and undo
+change one annotation at a time and render_session redraws the lot. Pass
+session_path to save the session to a JSON file after every change (a sidecar
+that rerender_annotations accepts); opening an existing file resumes it.`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        input_path: { type: 'string', description: 'Screenshot to annotate (optional when resuming from session_path)' },
+        input_base64: inputBase64Schema,
+        output_path: { type: 'string', description: 'Where render_session writes (default: input-annotated.png)' },
+        session_path: { type: 'string', description: 'JSON file to save the session to, or to resume from (optional)' },
+        device_pixel_ratio: devicePixelRatioSchema,
+        theme: themeSchema,
+        font_family: { type: 'string', description: 'Font family for all text (optional)' },
+        font_file: { type: 'string', description: 'Path to a font file used for all text (optional)' },
+        padding: paddingSchema,
+        padding_color: { type: 'string', description: 'Background color of the padding (default: white)' },
+        elements: {
+          type: 'object',
+          description: 'Named element boxes for annotation targets',
+          additionalProperties: boxSchema
+        },
+        annotations: {
+          type: 'array',
+          description: 'Initial annotations (optional)',
+          items: sessionAnnotationSchema
+        }
+      },
+      required: []
+    }
+  },
+  {
+    name: 'add_annotation',
+    description: 'Add one or more annotations to a session, on top of the others (or below the annotation `before`). Returns their ids.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        session_id: { type: 'string' },
+        annotation: sessionAnnotationSchema,
+        annotations: { type: 'array', items: sessionAnnotationSchema, description: 'Several annotations at once' },
+        before: { type: 'string', description: 'Insert below the annotation with this id (optional)' }
+      },
+      required: ['session_id']
+    }
+  },
+  {
+    name: 'update_annotation',
+    description: 'Change fields of one annotation in a session, keeping the rest. Set a field to null to remove it.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        session_id: { type: 'string' },
+        id: { type: 'string', description: 'Annotation id' },
+        changes: { type: 'object', description: 'Fields to change, e.g. { "x": 420, "text": "Save" }' }
+      },
+      required: ['session_id', 'id', 'changes']
+    }
+  },
+  {
+    name: 'remove_annotation',
+    description: 'Remove annotations from a session by id.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        session_id: { type: 'string' },
+        id: { type: 'string', description: 'Annotation id' },
+        ids: { type: 'array', items: { type: 'string' }, description: 'Several annotation ids at once' }
+      },
+      required: ['session_id']
+    }
+  },
+  {
+    name: 'undo',
+    description: 'Undo the last change(s) to a session\'s annotations.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        session_id: { type: 'string' },
+        steps: { type: 'number', description: 'Number of changes to undo (default: 1)' }
+      },
+      required: ['session_id']
+    }
+  },
+  {
+    name: 'list_annotations',
+    description: 'List a session\'s annotations with their ids, bottom layer first, plus its image, output and options.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        session_id: { type: 'string' }
+      },
+      required: ['session_id']
+    }
+  },
+  {
+    name: 'render_session',
+    description: 'Render a session\'s annotations onto its screenshot and return the result.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        session_id: { type: 'string' },
+        output_path: { type: 'string', description: 'Render here instead of the session output (optional)' },
+        ...outputOptionsSchema
+      },
+      required: ['session_id']
+    }
+  },
+  {
+    name: 'find_elements',
+    description: `Find candidate UI element boxes near a point by analysing the pixels.
+
+Returns boxes (buttons, inputs, icons, words) closest first, with whether each
+contains the point. Use it to turn a rough guess into exact coordinates.`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        input_path: { type: 'string' },
+        input_base64: inputBase64Schema,
+        x: coordinateSchema('x', 'X coordinate to search around'),
+        y: coordinateSchema('y', 'Y coordinate to search around'),
+        radius: { type: 'number', description: 'Search radius in pixels (default: 150)' },
+        max_results: { type: 'number', description: 'Maximum boxes to return (default: 10)' },
+        device_pixel_ratio: devicePixelRatioSchema
       },
-      required: ['input_path', 'x', 'y', 'text']
+      required: ['x', 'y']
     }
   },
   {
     name: 'blur_area',
-    description: 'Blur a rectangular area to hide sensitive information.',
+    description: `Redact a rectangular area to hide sensitive information.
+
+The original pixels are replaced (not covered), so tokens, emails and
+other secrets cannot be recovered from the output image.`,
     inputSchema: {
       type: 'object',
       properties: {
         input_path: { type: 'string' },
+        input_base64: inputBase64Schema,
         output_path: { type: 'string' },
-        x: { type: 'number' },
-        y: { type: 'number' },
-        width: { type: 'number' },
-        height: { type: 'number' },
-        intensity: { type: 'number', description: 'Blur intensity (default: 8)' }
+        ...outputOptionsSchema,
+        device_pixel_ratio: devicePixelRatioSchema,
+        x: coordinateSchema('x'),
+        y: coordinateSchema('y'),
+        width: lengthSchema('Width'),
+        height: lengthSchema('Height'),
+        mode: {
+          type: 'string',
+          enum: ['blur', 'pixelate', 'solid'],
+          description: 'Redaction mode (default: blur)'
+        },
+        intensity: { type: 'number', description: 'Blur radius (default and min: 8, max 1000) or pixelate block size (default: 12, min 8)' },
+        color: { type: 'string', description: 'Fill color for solid mode (default: black)' }
       },
-      required: ['input_path', 'x', 'y', 'width', 'height']
+      required: ['x', 'y', 'width', 'height']
     }
   }
 ];
@@ -257,12 +1064,46 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         return await handleDimensions(args);
       case 'create_step_guide':
         return await handleStepGuide(args);
+      case 'create_multi_image_guide':
+        return await handleMultiImageGuide(args);
+      case 'create_walkthrough':
+        return await handleWalkthrough(args);
       case 'highlight_area':
         return await handleHighlight(args);
       case 'add_callout':
         return await handleCallout(args);
+      case 'spotlight_area':
+        return await handleSpotlight(args);
       case 'blur_area':
         return await handleBlur(args);
+      case 'annotate_elements':
+        return await handleElements(args);
+      case 'render_coordinate_grid':
+        return await handleGrid(args);
+      case 'batch_annotate':
+        return await handleBatch(args);
+      case 'validate_annotations':
+        return await handleValidate(args);
+      case 'rerender_annotations':
+        return await handleRerender(args);
+      case 'read_annotations':
+        return await handleReadAnnotations(args);
+      case 'open_annotation_session':
+        return await handleOpenSession(args);
+      case 'add_annotation':
+        return await handleAddAnnotation(args);
+      case 'update_annotation':
+        return await handleUpdateAnnotation(args);
+      case 'remove_annotation':
+        return await handleRemoveAnnotation(args);
+      case 'undo':
+        return await handleUndo(args);
+      case 'list_annotations':
+        return await handleListAnnotations(args);
+      case 'render_session':
+        return await handleRenderSession(args);
+      case 'find_elements':
+        return await handleFindElements(args);
       default:
         throw new Error(`Unknown tool: ${name}`);
     }
@@ -272,43 +1113,174 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       isError: true,
     };
   }
-});
+});
+
+// Generate output path (with the extension of the requested format, if any),
+// next to the input or in the configured output directory
+function getOutputPath(inputPath, suffix = '-annotated', format = null) {
+  const dir = getOutputDirectory() || path.dirname(inputPath);
+  const ext = path.extname(inputPath);
+  const base = path.basename(inputPath, ext);
+  const outExt = format ? `.${format === 'jpeg' ? 'jpg' : format}` : ext;
+  return path.join(dir, `${base}${suffix}${outExt}`);
+}
+
+// Resolve a tool's image input: input_path, or input_base64 (raw base64 or a data URL)
+function getToolInput(args) {
+  const { input_path, input_base64 } = args;
+
+  if (input_base64) {
+    return decodeImageData(input_base64);
+  }
+
+  if (!input_path) {
+    throw new Error('Provide input_path or input_base64');
+  }
+
+  const file = checkPath(input_path);
+  if (!fs.existsSync(file)) {
+    throw new Error(`File not found: ${input_path}`);
+  }
+
+  return file;
+}
+
+// Check a tool's output may be written, and its sidecar if one is (`sidecar` is true or a path)
+function checkToolOutput(outputPath, input, sidecar) {
+  const file = checkOutputPath(outputPath, input);
+  if (sidecar) checkOutputPath(typeof sidecar === 'string' ? sidecar : getSidecarPath(file), input);
+  return file;
+}
+
+// Check the font files a render would read: the image-wide font and any per annotation
+function checkFontFiles(font, annotations = []) {
+  const files = [font && font.fontFile, ...annotations.map(ann => ann && ann.fontFile)];
+  for (const file of files) {
+    if (file) checkPath(file);
+  }
+}
+
+// Resolve where a tool writes its result; null renders in memory and returns it inline
+function getToolOutputPath(args, suffix) {
+  const { input_path, output_path, output_format, return_base64, write_sidecar } = args;
+
+  if (return_base64) return null;
+  if (output_path) return checkToolOutput(output_path, input_path, write_sidecar);
+  if (!input_path) return null;
+
+  return checkToolOutput(getOutputPath(input_path, suffix, output_format), input_path, write_sidecar);
+}
+
+// Describe where a result went, and anything that looked wrong, for tool messages
+function describeOutput(result) {
+  const lines = [result.outputPath || `returned inline (${result.format}, ${result.size} bytes)`];
+  if (result.sidecarPath) lines.push(`  Sidecar: ${result.sidecarPath}`);
+  for (const { scene, index, type, message } of result.warnings || []) {
+    lines.push(`  Warning: ${scene != null ? `image ${scene + 1}, ` : ''}annotations[${index}]${type ? ` (${type})` : ''}: ${message}`);
+  }
+  return lines.join('\n');
+}
 
-// Generate output path
-function getOutputPath(inputPath, suffix = '-annotated') {
-  const dir = path.dirname(inputPath);
-  const ext = path.extname(inputPath);
-  const base = path.basename(inputPath, ext);
-  return path.join(dir, `${base}${suffix}${ext}`);
+// Drop undefined values, so they do not override defaults when spread
+function definedOnly(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
 }
 
-// Handlers
-async function handleAnnotate(args) {
-  const { input_path, output_path, annotations, theme } = args;
+// Build an MCP image content block for a result, or none when not requested.
+// In-memory results are always returned in full, since they are the only output.
+async function getImageContent(result, args) {
+  if (result.buffer && INLINE_MIME_TYPES[result.format]) {
+    return [{
+      type: 'image',
+      data: result.buffer.toString('base64'),
+      mimeType: INLINE_MIME_TYPES[result.format]
+    }];
+  }
 
-  if (!fs.existsSync(input_path)) {
-    throw new Error(`File not found: ${input_path}`);
+  // Clients cannot display other formats (AVIF, TIFF): show a PNG of it and
+  // attach the encoded image as a resource
+  if (result.buffer) {
+    const preview = await sharp(result.buffer).png().toBuffer();
+    return [
+      { type: 'image', data: preview.toString('base64'), mimeType: 'image/png' },
+      {
+        type: 'resource',
+        resource: {
+          uri: result.outputPath ? pathToFileURL(result.outputPath).href : `image-annotator://result.${result.format}`,
+          mimeType: `image/${result.format}`,
+          blob: result.buffer.toString('base64')
+        }
+      }
+    ];
+  }
+
+  const imagePath = result.outputPath;
+  const { return_image, preview_max_size } = args;
+  const { width, height, format } = await getImageDimensions(imagePath);
+
+  // "Small" is judged on what would be sent, so a preview size makes big images small
+  const needsPreview = preview_max_size && Math.max(width, height) > preview_max_size;
+  const scale = needsPreview ? preview_max_size / Math.max(width, height) : 1;
+  if (return_image === false || (return_image === undefined && width * height * scale * scale > INLINE_IMAGE_MAX_PIXELS)) {
+    return [];
+  }
+
+  // Send the file untouched when it is displayable and needs no downscaling
+  if (!needsPreview && INLINE_MIME_TYPES[format]) {
+    return [{
+      type: 'image',
+      data: fs.readFileSync(imagePath).toString('base64'),
+      mimeType: INLINE_MIME_TYPES[format]
+    }];
+  }
+
+  let preview = sharp(imagePath);
+  if (needsPreview) {
+    preview = preview.resize({ width: preview_max_size, height: preview_max_size, fit: 'inside' });
   }
+  const data = await preview.png().toBuffer();
 
-  const finalPath = output_path || getOutputPath(input_path);
-  const result = await annotateImage(input_path, finalPath, annotations, { theme });
+  return [{ type: 'image', data: data.toString('base64'), mimeType: 'image/png' }];
+}
+
+// Map tool arguments to annotateImage output options
+function getOutputOptions(args) {
+  return {
+    devicePixelRatio: args.device_pixel_ratio,
+    format: args.output_format,
+    quality: args.output_quality,
+    maxWidth: args.output_max_width,
+    maxHeight: args.output_max_height,
+    scale: args.output_scale,
+    stripMetadata: args.strip_metadata !== false,
+    sidecar: args.write_sidecar,
+    embed: args.embed_annotations
+  };
+}
+
+// Handlers
+async function handleAnnotate(args) {
+  const { annotations, theme, font_family, font_file, padding, padding_color, elements } = args;
+  const input = getToolInput(args);
+
+  const font = font_family || font_file ? { fontFamily: font_family, fontFile: font_file } : null;
+  checkFontFiles(font, annotations);
+  const finalPath = getToolOutputPath(args, '-annotated');
+  const result = await annotateImage(input, finalPath, annotations, {
+    theme, font, padding, paddingColor: padding_color, elements, ...getOutputOptions(args)
+  });
 
   return {
     content: [{
       type: 'text',
-      text: `✓ Annotated screenshot saved: ${result.outputPath}\n  Size: ${result.width}x${result.height}\n  Annotations: ${result.annotationCount}${theme ? `\n  Theme: ${theme}` : ''}`
-    }]
+      text: `✓ Annotated screenshot saved: ${describeOutput(result)}\n  Size: ${result.width}x${result.height} (${result.format})\n  Annotations: ${result.annotationCount}${theme ? `\n  Theme: ${theme}` : ''}`
+    }, ...await getImageContent(result, args)]
   };
 }
 
 async function handleDimensions(args) {
-  const { image_path } = args;
-
-  if (!fs.existsSync(image_path)) {
-    throw new Error(`File not found: ${image_path}`);
-  }
-
-  const dims = await getImageDimensions(image_path);
+  const { image_path, image_base64 } = args;
+  const dims = await getImageDimensions(getToolInput({ input_path: image_path, input_base64: image_base64 }));
 
   return {
     content: [{
@@ -318,81 +1290,250 @@ async function handleDimensions(args) {
   };
 }
 
-async function handleStepGuide(args) {
-  const { input_path, output_path, steps, connect_steps = true, theme } = args;
+// Colors step markers cycle through, by step number
+const STEP_COLORS = ['primary', 'green', 'orange', 'purple', 'cyan'];
 
-  if (!fs.existsSync(input_path)) {
-    throw new Error(`File not found: ${input_path}`);
+const ROMAN_NUMERALS = [
+  [1000, 'M'], [900, 'CM'], [500, 'D'], [400, 'CD'], [100, 'C'], [90, 'XC'],
+  [50, 'L'], [40, 'XL'], [10, 'X'], [9, 'IX'], [5, 'V'], [4, 'IV'], [1, 'I']
+];
+
+// A step number in a numbering style: decimal (1, 2), upper-alpha (A ... Z, AA),
+// lower-alpha, upper-roman (I, II) or lower-roman
+function formatStepNumber(n, numbering = 'decimal') {
+  switch (numbering) {
+    case 'decimal':
+      return n;
+    case 'upper-alpha':
+    case 'lower-alpha': {
+      let letters = '';
+      for (let rest = n; rest > 0; rest = Math.floor((rest - 1) / 26)) {
+        letters = String.fromCharCode(65 + (rest - 1) % 26) + letters;
+      }
+      return numbering === 'lower-alpha' ? letters.toLowerCase() : letters;
+    }
+    case 'upper-roman':
+    case 'lower-roman': {
+      let roman = '';
+      let rest = n;
+      for (const [value, numeral] of ROMAN_NUMERALS) {
+        for (; rest >= value; rest -= value) roman += numeral;
+      }
+      return numbering === 'lower-roman' ? roman.toLowerCase() : roman;
+    }
+    default:
+      throw new Error(`Unknown numbering: ${numbering} (use decimal, upper-alpha, lower-alpha, upper-roman or lower-roman)`);
   }
+}
 
-  const colors = ['primary', 'green', 'orange', 'purple', 'cyan'];
-  const annotations = [];
+// Check a guide's first step number
+function getStartNumber(start = 1) {
+  if (!Number.isInteger(start) || start < 1) {
+    throw new Error(`start must be a whole number of at least 1, got ${start}`);
+  }
+  return start;
+}
+
+// Markers, arrows, labels and connectors for one screenshot's steps, numbered
+// from `first`, as one group of annotations per step (the connector from the
+// previous step first). Colors follow the step number, so a step keeps its
+// color wherever it appears in a guide.
+async function buildStepGuide(input, steps, { first = 1, numbering, colors = STEP_COLORS, connect = true, labelMaxWidth, devicePixelRatio = 1 } = {}) {
+  const groups = [];
+  const labelStyle = { fontSize: 16, maxWidth: labelMaxWidth };
+
+  // Step positions may be relative ("50%", "right-40"); layout needs pixels,
+  // in the same CSS pixels as the steps when a device pixel ratio is given
+  const image = await getImageDimensions(input);
+  const width = image.width / devicePixelRatio;
+  const height = image.height / devicePixelRatio;
+  const resolved = steps.map(step => resolveAnnotation(step, width, height));
+
+  // Place labels where they fit inside the image and clear of each other
+  const placements = layoutStepLabels(resolved, width, height, { markerSize: 24, label: labelStyle });
 
   // Add step markers and labels
-  steps.forEach((step, i) => {
-    const color = step.color || colors[i % colors.length];
+  resolved.forEach((step, i) => {
+    const number = first + i;
+    const color = step.color || colors[(number - 1) % colors.length];
+    const annotations = [];
+
+    // Connect from the previous step
+    if (connect && i > 0) {
+      const previous = resolved[i - 1];
+      annotations.push({
+        type: 'connector',
+        from: [previous.x, previous.y + 30],
+        to: [step.x, step.y - 30],
+        color: 'gray'
+      });
+    }
 
     // Marker
     annotations.push({
       type: 'marker',
       x: step.x,
       y: step.y,
-      number: i + 1,
+      number: formatStepNumber(number, numbering),
       color,
       size: 24
     });
 
     // Label with arrow
-    const labelX = step.x + 50;
-    const labelY = step.y;
+    const placement = placements[i];
 
     annotations.push({
       type: 'arrow',
-      from: [step.x + 28, step.y],
-      to: [labelX - 5, labelY],
+      from: placement.arrow.from,
+      to: placement.arrow.to,
       color,
       strokeWidth: 2
     });
 
     annotations.push({
       type: 'label',
-      x: labelX,
-      y: labelY + 6,
+      x: placement.x,
+      y: placement.y,
       text: step.label,
       color: 'darkGray',
-      fontSize: 16,
+      ...labelStyle,
       background: 'white',
       shadow: true
     });
 
-    // Connect to next step
-    if (connect_steps && i < steps.length - 1) {
-      const next = steps[i + 1];
-      annotations.push({
-        type: 'connector',
-        from: [step.x, step.y + 30],
-        to: [next.x, next.y - 30],
-        color: 'gray'
-      });
-    }
+    groups.push(annotations);
   });
 
-  const finalPath = output_path || getOutputPath(input_path, '-guide');
-  const result = await annotateImage(input_path, finalPath, annotations, { theme });
+  return groups;
+}
+
+async function handleStepGuide(args) {
+  const { steps, connect_steps = true, label_max_width, theme, start, numbering, colors } = args;
+  const input = getToolInput(args);
+
+  const first = getStartNumber(start);
+  const annotations = (await buildStepGuide(input, steps, {
+    first, numbering, colors, connect: connect_steps, labelMaxWidth: label_max_width, devicePixelRatio: args.device_pixel_ratio
+  })).flat();
+
+  const finalPath = getToolOutputPath(args, '-guide');
+  const result = await annotateImage(input, finalPath, annotations, { theme, ...getOutputOptions(args) });
 
   return {
     content: [{
       type: 'text',
-      text: `✓ Step guide created: ${result.outputPath}\n  Steps: ${steps.length}`
-    }]
+      text: `✓ Step guide created: ${describeOutput(result)}\n  Steps: ${steps.length}${first > 1 || numbering ? ` (${formatStepNumber(first, numbering)}-${formatStepNumber(first + steps.length - 1, numbering)})` : ''}`
+    }, ...await getImageContent(result, args)]
+  };
+}
+
+async function handleMultiImageGuide(args) {
+  const { images, connect_steps = true, label_max_width, theme, start, numbering, colors } = args;
+  if (!images || !images.length) {
+    throw new Error('Provide at least one image');
+  }
+
+  // Numbering carries on from one screenshot to the next
+  const first = getStartNumber(start);
+  let next = first;
+  const lines = [];
+  const content = [];
+  for (const [index, image] of images.entries()) {
+    const imageArgs = { ...args, ...image };
+    const input = getToolInput(imageArgs);
+    const steps = image.steps || [];
+
+    const annotations = (await buildStepGuide(input, steps, {
+      first: next, numbering, colors, connect: connect_steps, labelMaxWidth: label_max_width, devicePixelRatio: args.device_pixel_ratio
+    })).flat();
+    const finalPath = getToolOutputPath(imageArgs, '-guide');
+    const result = await annotateImage(input, finalPath, annotations, { theme, ...getOutputOptions(args) });
+
+    const range = steps.length
+      ? `steps ${formatStepNumber(next, numbering)}-${formatStepNumber(next + steps.length - 1, numbering)}`
+      : 'no steps';
+    lines.push(`  ${index + 1}. ${image.input_path || 'image data'} (${range}): ${describeOutput(result)}`);
+    content.push(...await getImageContent(result, args));
+    next += steps.length;
+  }
+
+  return {
+    content: [{
+      type: 'text',
+      text: `✓ Guide created: ${images.length} image${images.length === 1 ? '' : 's'}, ${next - first} steps\n${lines.join('\n')}`
+    }, ...content]
+  };
+}
+
+async function handleWalkthrough(args) {
+  const { images, connect_steps = true, label_max_width, theme, start, numbering, colors, delay, fade, loop, padding, padding_color } = args;
+  if (!images || !images.length) {
+    throw new Error('Provide at least one image');
+  }
+
+  // One scene per screenshot, revealing a step per frame, numbered on from the last
+  const first = getStartNumber(start);
+  let next = first;
+  const scenes = [];
+  for (const image of images) {
+    const input = getToolInput(image);
+    const steps = image.steps || [];
+    checkFontFiles(null, image.annotations);
+
+    const groups = await buildStepGuide(input, steps, {
+      first: next, numbering, colors, connect: connect_steps, labelMaxWidth: label_max_width, devicePixelRatio: args.device_pixel_ratio
+    });
+    scenes.push({
+      input,
+      annotations: image.annotations,
+      steps: groups.map((annotations, i) => ({ annotations, duration: steps[i].duration }))
+    });
+    next += steps.length;
+  }
+
+  // The default output sits beside the first screenshot, as a GIF unless asked otherwise
+  const finalPath = getToolOutputPath({ ...args, input_path: images[0].input_path, output_format: args.output_format || 'gif' }, '-walkthrough');
+  const result = await createWalkthrough(scenes, finalPath, {
+    format: args.output_format, delay, fade, loop, theme, padding, paddingColor: padding_color,
+    devicePixelRatio: args.device_pixel_ratio, quality: args.output_quality,
+    maxWidth: args.output_max_width, maxHeight: args.output_max_height, scale: args.output_scale
+  });
+
+  return {
+    content: [{
+      type: 'text',
+      text: `✓ Walkthrough created: ${describeOutput(result)}\n  Size: ${result.width}x${result.height} (${result.format})\n  Frames: ${result.frames} (${(result.duration / 1000).toFixed(1)}s), steps: ${next - first}`
+    }, ...await getImageContent(result, args)]
   };
 }
 
 async function handleHighlight(args) {
-  const { input_path, output_path, shape, x, y, width, height, color = 'red', label, label_position = 'right' } = args;
+  const { shape, color = 'red', label, label_position = 'right' } = args;
+  const input = getToolInput(args);
 
-  if (!fs.existsSync(input_path)) {
-    throw new Error(`File not found: ${input_path}`);
+  // Resolve relative coordinates up front; label placement needs pixels
+  const dpr = args.device_pixel_ratio || 1;
+  const image = await getImageDimensions(input);
+  let { x, y, width, height } = resolveAnnotation(args, image.width / dpr, image.height / dpr);
+
+  // Snap first so the label follows the detected element
+  if (args.snap) {
+    const box = shape === 'circle'
+      ? { x: x - width / 2, y: y - width / 2, width, height: width }
+      : { x, y, width, height: height || width };
+    const snapped = await snapToElement(input, box, { devicePixelRatio: dpr });
+    if (snapped) {
+      const pad = shape === 'highlight' ? 2 : 4;
+      x = snapped.x - pad;
+      y = snapped.y - pad;
+      width = snapped.width + pad * 2;
+      height = snapped.height + pad * 2;
+      if (shape === 'circle') {
+        x += width / 2;
+        y += height / 2;
+        width = Math.max(width, height);
+      }
+    }
   }
 
   const annotations = [];
@@ -448,64 +1589,413 @@ async function handleHighlight(args) {
     });
   }
 
-  const finalPath = output_path || getOutputPath(input_path, '-highlighted');
-  await annotateImage(input_path, finalPath, annotations);
+  const finalPath = getToolOutputPath(args, '-highlighted');
+  const result = await annotateImage(input, finalPath, annotations, getOutputOptions(args));
 
   return {
     content: [{
       type: 'text',
-      text: `✓ Highlighted: ${finalPath}`
-    }]
+      text: `✓ Highlighted: ${describeOutput(result)}`
+    }, ...await getImageContent(result, args)]
   };
 }
 
 async function handleCallout(args) {
-  const { input_path, output_path, x, y, text, pointer = 'left', color = 'primary', background = 'white' } = args;
-
-  if (!fs.existsSync(input_path)) {
-    throw new Error(`File not found: ${input_path}`);
-  }
+  const { x, y, text, pointer = 'left', max_width, color = 'primary', background = 'white', padding, padding_color } = args;
+  const input = getToolInput(args);
 
   const annotations = [{
     type: 'callout',
     x, y,
     text,
     pointer,
+    maxWidth: max_width,
     color,
     background,
     shadow: true
   }];
 
-  const finalPath = output_path || getOutputPath(input_path, '-callout');
-  await annotateImage(input_path, finalPath, annotations);
+  const finalPath = getToolOutputPath(args, '-callout');
+  const result = await annotateImage(input, finalPath, annotations, { padding, paddingColor: padding_color, ...getOutputOptions(args) });
 
   return {
     content: [{
       type: 'text',
-      text: `✓ Callout added: ${finalPath}`
-    }]
+      text: `✓ Callout added: ${describeOutput(result)}`
+    }, ...await getImageContent(result, args)]
   };
 }
 
-async function handleBlur(args) {
-  const { input_path, output_path, x, y, width, height, intensity = 8 } = args;
+async function handleSpotlight(args) {
+  const { x, y, width, height, radius, shape = 'rounded', areas, opacity = 0.6, color = 'black', feather = 0 } = args;
+  const input = getToolInput(args);
 
-  if (!fs.existsSync(input_path)) {
-    throw new Error(`File not found: ${input_path}`);
+  if (!areas && (x === undefined || y === undefined)) {
+    throw new Error('Provide either areas or x and y');
   }
 
+  const annotations = [{
+    type: 'spotlight',
+    areas: areas || [{ x, y, width, height, radius, shape }],
+    shape,
+    opacity,
+    color,
+    feather
+  }];
+
+  const finalPath = getToolOutputPath(args, '-spotlight');
+  const result = await annotateImage(input, finalPath, annotations, getOutputOptions(args));
+
+  return {
+    content: [{
+      type: 'text',
+      text: `✓ Spotlight added (${annotations[0].areas.length} area${annotations[0].areas.length === 1 ? '' : 's'}): ${describeOutput(result)}`
+    }, ...await getImageContent(result, args)]
+  };
+}
+
+async function handleBlur(args) {
+  const { x, y, width, height, mode = 'blur', intensity, color } = args;
+  const input = getToolInput(args);
+
   const annotations = [{
     type: 'blur',
-    x, y, width, height, intensity
+    x, y, width, height, mode, intensity, color
   }];
 
-  const finalPath = output_path || getOutputPath(input_path, '-blurred');
-  await annotateImage(input_path, finalPath, annotations);
+  const finalPath = getToolOutputPath(args, '-blurred');
+  const result = await annotateImage(input, finalPath, annotations, getOutputOptions(args));
+
+  return {
+    content: [{
+      type: 'text',
+      text: `✓ Area redacted (${mode}): ${describeOutput(result)}`
+    }, ...await getImageContent(result, args)]
+  };
+}
+
+async function handleElements(args) {
+  const { elements, style = 'callout', outline = true, label_max_width, theme, padding, padding_color } = args;
+  const input = getToolInput(args);
+
+  const colors = ['primary', 'green', 'orange', 'purple', 'cyan'];
+  const annotations = [];
+
+  elements.forEach((element, i) => {
+    const { box, label, side } = element;
+    const color = element.color || colors[i % colors.length];
+
+    if (outline) {
+      annotations.push({ type: 'rect', target: box, color, strokeWidth: 3 });
+    }
+
+    if (style === 'marker') {
+      annotations.push({ type: 'marker', target: box, number: i + 1, color, size: 24 });
+    }
+
+    if (!label) return;
+
+    if (style === 'callout') {
+      annotations.push({
+        type: 'callout',
+        target: box,
+        side,
+        text: label,
+        maxWidth: label_max_width,
+        color,
+        background: 'white',
+        shadow: true
+      });
+    } else {
+      annotations.push({
+        type: 'label',
+        target: box,
+        side: side || (style === 'marker' ? 'right' : 'top'),
+        text: label,
+        maxWidth: label_max_width,
+        color: 'darkGray',
+        fontSize: 16,
+        background: 'white',
+        shadow: true
+      });
+    }
+  });
+
+  const finalPath = getToolOutputPath(args, '-elements');
+  const result = await annotateImage(input, finalPath, annotations, {
+    theme, padding, paddingColor: padding_color, ...getOutputOptions(args)
+  });
+
+  return {
+    content: [{
+      type: 'text',
+      text: `✓ Elements annotated: ${describeOutput(result)}\n  Elements: ${elements.length}`
+    }, ...await getImageContent(result, args)]
+  };
+}
+
+async function handleGrid(args) {
+  const { spacing = 100, major_every, color, x, y, width, height } = args;
+  const input = getToolInput(args);
+
+  const annotations = [{ type: 'grid', spacing, majorEvery: major_every, color, x, y, width, height }];
+
+  // The grid is a scratch image for reading coordinates, so keep it in memory unless asked
+  const finalPath = args.output_path && !args.return_base64 ? checkToolOutput(args.output_path, args.input_path, args.write_sidecar) : null;
+  const result = await annotateImage(input, finalPath, annotations, getOutputOptions(args));
+
+  return {
+    content: [{
+      type: 'text',
+      text: `✓ Coordinate grid rendered: ${describeOutput(result)}\n  Size: ${result.width}x${result.height}, lines every ${spacing}px`
+    }, ...await getImageContent(result, { return_image: true, ...args })]
+  };
+}
+
+async function handleRerender(args) {
+  const { sidecar_path, output_path, force } = args;
+  const sidecarPath = checkPath(sidecar_path);
+  let input = args.input_path || args.input_base64 ? getToolInput(args) : undefined;
+
+  // Check the paths the record names before rendering from it
+  const { record, dir, output: recordedOutput } = await loadAnnotationRecord(sidecarPath);
+  if (!input && record.source && record.source.path) {
+    input = checkPath(path.resolve(dir, record.source.path));
+  }
+  let outputPath = output_path !== undefined ? output_path : recordedOutput;
+  if (outputPath) {
+    const newSidecar = path.extname(sidecarPath).toLowerCase() === '.json' && path.resolve(outputPath) !== recordedOutput;
+    outputPath = checkToolOutput(outputPath, input, newSidecar);
+  }
+  checkFontFiles(record.options && record.options.font, record.annotations);
+
+  const result = await rerender(sidecarPath, { input, outputPath, force });
+
+  return {
+    content: [{
+      type: 'text',
+      text: `✓ Re-rendered: ${describeOutput(result)}\n  Annotations: ${result.annotationCount}`
+    }, ...await getImageContent(result, args)]
+  };
+}
+
+async function handleBatch(args) {
+  const { items, manifest_path, annotations, theme, output_dir, concurrency, font_family, font_file, padding, padding_color } = args;
+
+  // A manifest file, or items from the arguments; paths are relative to the manifest or working directory
+  let manifest;
+  let baseDir = process.cwd();
+  if (manifest_path) {
+    const file = checkPath(manifest_path);
+    try {
+      manifest = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+      throw new Error(`Invalid manifest ${manifest_path}: ${e.message}`);
+    }
+    baseDir = path.dirname(file);
+  } else if (items && items.length) {
+    manifest = {
+      items: items.map(item => definedOnly({
+        input: item.input_path,
+        output: item.output_path,
+        outputDir: item.output_dir,
+        annotations: item.annotations,
+        theme: item.theme
+      }))
+    };
+  } else {
+    throw new Error('Provide items or manifest_path');
+  }
+  if (Array.isArray(manifest)) manifest = { items: manifest };
+
+  // Arguments apply to every item, over the manifest's own shared options
+  const font = font_family || font_file ? { fontFamily: font_family, fontFile: font_file } : undefined;
+  manifest = {
+    ...manifest,
+    ...definedOnly({
+      ...getOutputOptions(args),
+      stripMetadata: args.strip_metadata,
+      annotations: annotations && [...(manifest.annotations || []), ...annotations],
+      outputDir: output_dir || manifest.outputDir || getOutputDirectory() || undefined,
+      theme, font, padding, paddingColor: padding_color
+    })
+  };
+
+  // A glob is only expanded inside the allowed directories
+  const expand = (pattern, cwd) => {
+    checkPath(path.dirname(path.resolve(cwd, `${pattern.split(/[*?{]/)[0]}x`)));
+    return expandGlob(pattern, cwd);
+  };
+
+  const report = await annotateBatch(resolveBatch(manifest, baseDir, { expand }), {
+    concurrency: concurrency || manifest.concurrency,
+    check: job => {
+      job.input = checkPath(job.input);
+      job.output = checkToolOutput(job.output, job.input, job.options.sidecar);
+      checkFontFiles(job.options.font, job.annotations);
+    }
+  });
+
+  const lines = report.results.map(result => result.ok
+    ? `✓ ${result.input} -> ${describeOutput({ ...result, outputPath: result.output })}`
+    : `✗ ${result.input}: ${result.error}`);
+
+  return {
+    content: [{
+      type: 'text',
+      text: `${report.failed ? '⚠' : '✓'} Batch rendered ${report.succeeded} of ${report.total}${report.failed ? ` (${report.failed} failed)` : ''}\n${lines.join('\n')}`
+    }]
+  };
+}
+
+async function handleValidate(args) {
+  const { annotations, theme, font_family, font_file, padding, elements, device_pixel_ratio } = args;
+  const input = getToolInput(args);
+
+  const font = font_family || font_file ? { fontFamily: font_family, fontFile: font_file } : null;
+  checkFontFiles(font, annotations);
+  const report = await validateAnnotations(input, annotations, {
+    theme, font, padding, elements, devicePixelRatio: device_pixel_ratio
+  });
+
+  return {
+    content: [{
+      type: 'text',
+      text: JSON.stringify(report, null, 2)
+    }]
+  };
+}
+
+async function handleReadAnnotations(args) {
+  const { image_path, image_base64 } = args;
+  const record = await readAnnotations(getToolInput({ input_path: image_path, input_base64: image_base64 }));
+
+  return {
+    content: [{
+      type: 'text',
+      text: record ? JSON.stringify(record, null, 2) : 'No embedded annotation data found'
+    }]
+  };
+}
+
+async function handleOpenSession(args) {
+  const { input_path, input_base64, output_path, session_path, theme, font_family, font_file, padding, padding_color, elements, device_pixel_ratio, annotations } = args;
+  const input = input_path || input_base64 || !session_path ? getToolInput(args) : undefined;
+  const sessionPath = session_path ? checkPath(session_path) : undefined;
+
+  // A resumed session keeps its recorded output unless a new one is given
+  const resuming = sessionPath && fs.existsSync(sessionPath);
+  let outputPath = output_path || (input_path && !resuming ? getOutputPath(input_path, '-annotated') : undefined);
+  if (outputPath) outputPath = checkOutputPath(outputPath, input);
+
+  const options = {};
+  if (theme) options.theme = theme;
+  if (font_family || font_file) options.font = { fontFamily: font_family, fontFile: font_file };
+  if (padding !== undefined) options.padding = padding;
+  if (padding_color) options.paddingColor = padding_color;
+  if (elements) options.elements = elements;
+  if (device_pixel_ratio) options.devicePixelRatio = device_pixel_ratio;
+
+  const session = openSession({ input, outputPath, options, annotations, sessionPath });
+
+  return {
+    content: [{
+      type: 'text',
+      text: `✓ Session ${resuming ? 'resumed' : 'opened'}: ${session.sessionId}\n  Image: ${session.input}\n  Output: ${session.outputPath || 'returned inline'}${session.sessionPath ? `\n  Saved to: ${session.sessionPath}` : ''}\n  Annotations: ${session.annotations.length}${session.annotations.length ? `\n${JSON.stringify(session.annotations, null, 2)}` : ''}`
+    }]
+  };
+}
+
+async function handleAddAnnotation(args) {
+  const { session_id, annotation, annotations = [], before } = args;
+  const all = annotation ? [annotation, ...annotations] : annotations;
+  if (!all.length) {
+    throw new Error('Provide annotation or annotations');
+  }
+
+  const ids = addAnnotations(session_id, all, { before });
+
+  return {
+    content: [{ type: 'text', text: `✓ Added: ${ids.join(', ')}` }]
+  };
+}
+
+async function handleUpdateAnnotation(args) {
+  const { session_id, id, changes } = args;
+  const updated = updateAnnotation(session_id, id, changes);
+
+  return {
+    content: [{ type: 'text', text: `✓ Updated ${id}: ${JSON.stringify(updated)}` }]
+  };
+}
+
+async function handleRemoveAnnotation(args) {
+  const { session_id, id, ids = [] } = args;
+  const all = id ? [id, ...ids] : ids;
+  if (!all.length) {
+    throw new Error('Provide id or ids');
+  }
+
+  const removed = removeAnnotations(session_id, all);
+
+  return {
+    content: [{ type: 'text', text: `✓ Removed: ${removed.map(ann => ann.id).join(', ')}` }]
+  };
+}
+
+async function handleUndo(args) {
+  const { session_id, steps = 1 } = args;
+  const undone = undo(session_id, steps);
+  const { annotations } = listAnnotations(session_id);
+
+  return {
+    content: [{
+      type: 'text',
+      text: undone ? `✓ Undid ${undone} change${undone === 1 ? '' : 's'}\n  Annotations: ${annotations.map(ann => ann.id).join(', ') || 'none'}` : 'Nothing to undo'
+    }]
+  };
+}
+
+async function handleListAnnotations(args) {
+  return {
+    content: [{ type: 'text', text: JSON.stringify(listAnnotations(args.session_id), null, 2) }]
+  };
+}
+
+async function handleRenderSession(args) {
+  const { session_id, output_path, return_base64, write_sidecar } = args;
+
+  // A resumed session may name files of its own, so check them all before rendering
+  const session = listAnnotations(session_id);
+  const input = session.input === '(image data)' ? null : checkPath(session.input);
+  checkFontFiles(session.options.font, session.annotations);
+
+  let outputPath = return_base64 ? null : output_path || session.outputPath;
+  const sidecar = write_sidecar !== undefined ? write_sidecar : session.options.sidecar;
+  if (outputPath) outputPath = checkToolOutput(outputPath, input, sidecar);
+  else if (typeof sidecar === 'string') checkOutputPath(sidecar, input);
+  const result = await renderSession(session_id, { outputPath, options: getOutputOptions(args) });
+
+  return {
+    content: [{
+      type: 'text',
+      text: `✓ Session rendered: ${describeOutput(result)}\n  Size: ${result.width}x${result.height} (${result.format})\n  Annotations: ${result.annotationCount}`
+    }, ...await getImageContent(result, args)]
+  };
+}
+
+async function handleFindElements(args) {
+  const { radius, max_results, device_pixel_ratio = 1 } = args;
+  const input = getToolInput(args);
+
+  const image = await getImageDimensions(input);
+  const { x, y } = resolveAnnotation(args, image.width / device_pixel_ratio, image.height / device_pixel_ratio);
+  const elements = await findElementsNear(input, x, y, { radius, limit: max_results, devicePixelRatio: device_pixel_ratio });
 
   return {
     content: [{
       type: 'text',
-      text: `✓ Area blurred: ${finalPath}`
+      text: JSON.stringify({ point: [x, y], elements }, null, 2)
     }]
   };
 }
@@ -515,6 +2005,10 @@ async function main() {
   const transport = new StdioServerTransport();
   await server.connect(transport);
   console.error('Image Annotator MCP Server v1.0.0 running...');
+  if (configPath) console.error(`Loaded config: ${configPath}`);
+  const directories = listAllowedDirectories();
+  console.error(directories.length ? `Allowed directories: ${directories.join(', ')}` : 'Allowed directories: any (pass directories to restrict file access)');
+  if (getOutputDirectory()) console.error(`Output directory: ${getOutputDirectory()}`);
 }
 
 main().catch((error) => {
@@ -0,0 +1,314 @@
+/**
+ * Annotation sessions
+ *
+ * Keeps a screenshot's annotation stack in memory between calls, so a single
+ * annotation can be added, changed or removed (and undone) without resending
+ * the rest. Each annotation gets a stable id. A session can persist to a JSON
+ * file in the sidecar format, which rerender() accepts and which can be
+ * opened again later to carry on editing.
+ *
+ * @author Varun Dubey
+ * @license MIT
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { annotateImage, RECORDED_OPTIONS } = require('./annotate.js');
+
+// Open sessions kept in memory; the least recently used is closed beyond this
+const MAX_SESSIONS = 20;
+
+// Undo steps kept per session
+const MAX_HISTORY = 50;
+
+const sessions = new Map();
+
+/**
+ * Look up an open session, marking it as recently used
+ */
+function getSession(id) {
+  const session = sessions.get(id);
+  if (!session) {
+    throw new Error(`Unknown session: ${id} (open one with open_annotation_session)`);
+  }
+  sessions.delete(id);
+  sessions.set(id, session);
+  return session;
+}
+
+/**
+ * Find an annotation's position in the stack by id
+ */
+function indexOfAnnotation(session, id) {
+  const index = session.annotations.findIndex(ann => ann.id === String(id));
+  if (index === -1) {
+    throw new Error(`No annotation ${id} in session ${session.id}`);
+  }
+  return index;
+}
+
+/**
+ * Give an annotation a stable id that is not used in `stack`, keeping the
+ * one it already has if possible
+ */
+function assignId(session, ann, stack) {
+  if (!ann || typeof ann !== 'object' || Array.isArray(ann) || typeof ann.type !== 'string') {
+    throw new Error('Each annotation must be an object with a type');
+  }
+
+  const { id: requested, ...rest } = ann;
+  const used = id => stack.some(existing => existing.id === id);
+
+  let id = requested != null ? String(requested) : null;
+  if (id && used(id)) {
+    throw new Error(`Annotation id ${id} is already used in session ${session.id}`);
+  }
+  while (!id || used(id)) {
+    id = `a${session.nextId++}`;
+  }
+
+  return { id, ...rest };
+}
+
+/**
+ * The file an image input came from, or null for image data
+ */
+function inputPath(input) {
+  return typeof input === 'string' && !input.startsWith('data:') ? input : null;
+}
+
+/**
+ * Remember the current stack so the next change can be undone
+ */
+function checkpoint(session) {
+  session.history.push(session.annotations);
+  if (session.history.length > MAX_HISTORY) session.history.shift();
+}
+
+/**
+ * Write the session to its file, if it has one. Paths are stored relative
+ * to the file, as in a sidecar.
+ */
+function saveSession(session) {
+  if (!session.sessionPath) return;
+
+  const dir = path.dirname(session.sessionPath);
+  const relative = file => file ? path.relative(dir, path.resolve(file)) : null;
+  const { theme, ...options } = session.options;
+
+  const record = {
+    version: 1,
+    session: { id: session.id, nextId: session.nextId },
+    source: {
+      path: relative(inputPath(session.input)),
+      ...(session.sourceHash && { sha256: session.sourceHash })
+    },
+    theme: theme || null,
+    options,
+    output: relative(session.outputPath),
+    annotations: session.annotations
+  };
+  fs.writeFileSync(session.sessionPath, `${JSON.stringify(record, null, 2)}\n`);
+}
+
+/**
+ * Read a persisted session, or any sidecar, to resume from. Only the render
+ * options a record holds are restored, so a file cannot name other outputs
+ * (a sidecar path, say) for later renders to write.
+ */
+function loadSessionFile(sessionPath) {
+  let record;
+  try {
+    record = JSON.parse(fs.readFileSync(sessionPath, 'utf8'));
+  } catch (e) {
+    throw new Error(`Invalid session file ${sessionPath}: ${e.message}`);
+  }
+  if (!Array.isArray(record.annotations)) {
+    throw new Error(`Invalid session file ${sessionPath}: annotations must be an array`);
+  }
+
+  const dir = path.dirname(sessionPath);
+  const resolve = file => file ? path.resolve(dir, file) : null;
+  const options = {};
+  for (const key of RECORDED_OPTIONS) {
+    if (record.options && record.options[key] != null) options[key] = record.options[key];
+  }
+  return {
+    id: record.session && record.session.id,
+    nextId: record.session && record.session.nextId,
+    input: resolve(record.source && record.source.path),
+    sourceHash: record.source && record.source.sha256,
+    outputPath: resolve(record.output),
+    options: { ...options, ...(record.theme && { theme: record.theme }) },
+    annotations: record.annotations
+  };
+}
+
+/**
+ * Open a session on an image (a path, data URL or Buffer).
+ *
+ * `sessionPath` persists the session to a JSON file after every change; if
+ * the file exists (a saved session or a sidecar) it is resumed, with the
+ * other arguments overriding what it recorded. Returns the session summary.
+ */
+function openSession({ input, outputPath, options = {}, annotations = [], sessionPath } = {}) {
+  const file = sessionPath ? path.resolve(sessionPath) : null;
+  const saved = file && fs.existsSync(file) ? loadSessionFile(file) : null;
+
+  const source = input || (saved && saved.input);
+  if (!source) {
+    throw new Error(saved ? `${sessionPath} was opened on image data, not a file; pass the image again` : 'A session needs an input image');
+  }
+
+  const session = {
+    id: (saved && saved.id) || crypto.randomBytes(4).toString('hex'),
+    input: source,
+    outputPath: outputPath !== undefined ? outputPath : saved ? saved.outputPath : null,
+    options: { ...(saved && saved.options), ...options },
+    annotations: [],
+    history: [],
+    nextId: (saved && saved.nextId) || 1,
+    sessionPath: file,
+    // A recorded hash still describes the source unless the image was replaced
+    sourceHash: saved && !input ? saved.sourceHash : null
+  };
+
+  for (const ann of [...(saved ? saved.annotations : []), ...annotations]) {
+    session.annotations.push(assignId(session, ann, session.annotations));
+  }
+
+  sessions.delete(session.id);
+  sessions.set(session.id, session);
+  if (sessions.size > MAX_SESSIONS) {
+    sessions.delete(sessions.keys().next().value);
+  }
+
+  saveSession(session);
+  return describeSession(session);
+}
+
+/**
+ * Add annotations to the top of the stack, or below the annotation `before`.
+ * Returns the new ids.
+ */
+function addAnnotations(sessionId, annotations, { before } = {}) {
+  const session = getSession(sessionId);
+  const index = before != null ? indexOfAnnotation(session, before) : session.annotations.length;
+
+  const added = [];
+  for (const ann of annotations) {
+    added.push(assignId(session, ann, [...session.annotations, ...added]));
+  }
+
+  checkpoint(session);
+  session.annotations = [...session.annotations.slice(0, index), ...added, ...session.annotations.slice(index)];
+
+  saveSession(session);
+  return added.map(ann => ann.id);
+}
+
+/**
+ * Change fields of an annotation; a null value removes the field.
+ * Returns the updated annotation.
+ */
+function updateAnnotation(sessionId, id, changes) {
+  const session = getSession(sessionId);
+  const index = indexOfAnnotation(session, id);
+
+  const updated = { ...session.annotations[index] };
+  for (const [key, value] of Object.entries(changes || {})) {
+    if (key === 'id') continue;
+    if (value === null) delete updated[key];
+    else updated[key] = value;
+  }
+  if (typeof updated.type !== 'string') {
+    throw new Error(`Annotation ${id} must keep a type`);
+  }
+
+  checkpoint(session);
+  session.annotations = session.annotations.map((ann, i) => i === index ? updated : ann);
+
+  saveSession(session);
+  return updated;
+}
+
+/**
+ * Remove annotations by id. Returns the removed annotations.
+ */
+function removeAnnotations(sessionId, ids) {
+  const session = getSession(sessionId);
+  const indexes = new Set(ids.map(id => indexOfAnnotation(session, id)));
+
+  checkpoint(session);
+  const removed = session.annotations.filter((ann, i) => indexes.has(i));
+  session.annotations = session.annotations.filter((ann, i) => !indexes.has(i));
+
+  saveSession(session);
+  return removed;
+}
+
+/**
+ * Revert the last `steps` changes. Returns how many were undone.
+ */
+function undo(sessionId, steps = 1) {
+  const session = getSession(sessionId);
+
+  let undone = 0;
+  while (undone < steps && session.history.length) {
+    session.annotations = session.history.pop();
+    undone++;
+  }
+
+  saveSession(session);
+  return undone;
+}
+
+/**
+ * Summary of a session: its image, output, options and annotation stack
+ * (bottom layer first)
+ */
+function describeSession(session) {
+  return {
+    sessionId: session.id,
+    input: inputPath(session.input) || '(image data)',
+    outputPath: session.outputPath,
+    sessionPath: session.sessionPath,
+    options: session.options,
+    undoSteps: session.history.length,
+    annotations: session.annotations
+  };
+}
+
+/**
+ * List a session's annotations
+ */
+function listAnnotations(sessionId) {
+  return describeSession(getSession(sessionId));
+}
+
+/**
+ * Render a session's annotations. `outputPath` and `options` override the
+ * session's own for this render; a null output path renders in memory.
+ */
+async function renderSession(sessionId, { outputPath, options = {} } = {}) {
+  const session = getSession(sessionId);
+
+  const overrides = {};
+  for (const [key, value] of Object.entries(options)) {
+    if (value !== undefined) overrides[key] = value;
+  }
+  const output = outputPath !== undefined ? outputPath : session.outputPath;
+
+  return annotateImage(session.input, output, session.annotations, { ...session.options, ...overrides });
+}
+
+module.exports = {
+  openSession,
+  addAnnotations,
+  updateAnnotation,
+  removeAnnotations,
+  undo,
+  listAnnotations,
+  renderSession
+};
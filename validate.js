@@ -0,0 +1,474 @@
+/**
+ * Annotation validation
+ *
+ * Checks annotations against a per-type schema and normalises their fields
+ * before they are written into SVG markup: required fields must be present,
+ * colors become hex values, numbers must be finite and in range, and keyword
+ * fields must be one of the values the renderer knows. A typo fails loudly
+ * instead of drawing an invisible shape, and no field can inject markup into
+ * the SVG. Problems are reported as structured errors and warnings.
+ *
+ * @author Varun Dubey
+ * @license MIT
+ */
+
+// Alternative type names accepted by the renderer
+const TYPE_ALIASES = {
+  number: 'marker',
+  curvedArrow: 'curved-arrow',
+  rectangle: 'rect',
+  box: 'rect',
+  text: 'label',
+  magnifier: 'magnify',
+  zoom: 'magnify',
+  redact: 'blur',
+  line: 'connector'
+};
+
+// Fields any annotation may carry: its id and the placement helpers
+const COMMON_FIELDS = ['type', 'id', 'anchor', 'target', 'side', 'gap', 'snap'];
+
+// Fields used by text-bearing annotations
+const TEXT_FIELDS = ['text', 'fontSize', 'fontWeight', 'fontFamily', 'fontFile', 'handwriting', 'maxWidth'];
+
+// Per-type schema: `required` lists alternative sets of fields (after
+// coordinates are resolved), any one of which is enough; `fields` lists
+// everything the type uses
+const TYPE_SCHEMAS = {
+  marker: {
+    required: [['x', 'y', 'number']],
+    fields: ['x', 'y', 'number', 'color', 'size', 'shadow', 'style', 'fontFamily', 'fontFile']
+  },
+  arrow: {
+    required: [['from', 'to']],
+    fields: ['from', 'to', 'color', 'strokeWidth', 'style', 'headStyle', 'shadow']
+  },
+  'curved-arrow': {
+    required: [['from', 'to']],
+    fields: ['from', 'to', 'curve', 'color', 'strokeWidth', 'headStyle', 'shadow']
+  },
+  callout: {
+    required: [['x', 'y', 'text']],
+    fields: ['x', 'y', 'width', 'pointer', 'color', 'background', 'shadow', ...TEXT_FIELDS]
+  },
+  rect: {
+    required: [['x', 'y', 'width', 'height']],
+    fields: ['x', 'y', 'width', 'height', 'color', 'strokeWidth', 'fill', 'cornerRadius', 'style', 'shadow']
+  },
+  circle: {
+    required: [['x', 'y']],
+    fields: ['x', 'y', 'radius', 'color', 'strokeWidth', 'fill', 'style', 'shadow']
+  },
+  label: {
+    required: [['x', 'y', 'text']],
+    fields: ['x', 'y', 'color', 'background', 'padding', 'cornerRadius', 'shadow', ...TEXT_FIELDS]
+  },
+  highlight: {
+    required: [['x', 'y', 'width', 'height']],
+    fields: ['x', 'y', 'width', 'height', 'color', 'opacity', 'cornerRadius']
+  },
+  spotlight: {
+    required: [['areas'], ['x', 'y', 'width', 'height'], ['x', 'y', 'radius']],
+    fields: ['areas', 'x', 'y', 'width', 'height', 'radius', 'shape', 'cornerRadius', 'color', 'opacity', 'feather']
+  },
+  magnify: {
+    required: [['source', 'x', 'y']],
+    fields: ['source', 'x', 'y', 'zoom', 'shape', 'color', 'strokeWidth', 'cornerRadius', 'connector']
+  },
+  blur: {
+    required: [['x', 'y', 'width', 'height']],
+    fields: ['x', 'y', 'width', 'height', 'mode', 'intensity', 'color']
+  },
+  connector: {
+    required: [['from', 'to']],
+    fields: ['from', 'to', 'color', 'strokeWidth', 'style']
+  },
+  icon: {
+    required: [['x', 'y', 'icon']],
+    fields: ['x', 'y', 'icon', 'color', 'size', 'shadow']
+  },
+  grid: {
+    required: [],
+    fields: ['x', 'y', 'width', 'height', 'spacing', 'majorEvery', 'color', 'opacity', 'strokeWidth', 'fontSize', 'labels']
+  }
+};
+
+// Fields holding a color
+const COLOR_FIELDS = ['color', 'background', 'fill'];
+
+// Numeric fields and their allowed [min, max]; POSITIVE means greater than 0
+const POSITIVE = Number.MIN_VALUE;
+const NUMBER_FIELDS = {
+  x: [-Infinity, Infinity],
+  y: [-Infinity, Infinity],
+  width: [0, Infinity],
+  height: [0, Infinity],
+  radius: [0, Infinity],
+  size: [POSITIVE, Infinity],
+  fontSize: [POSITIVE, Infinity],
+  strokeWidth: [0, Infinity],
+  cornerRadius: [0, Infinity],
+  opacity: [0, 1],
+  curve: [-Infinity, Infinity],
+  feather: [0, Infinity],
+  zoom: [POSITIVE, Infinity],
+  intensity: [0, Infinity],
+  spacing: [POSITIVE, Infinity],
+  majorEvery: [1, Infinity],
+  maxWidth: [POSITIVE, Infinity],
+  padding: [0, Infinity],
+  gap: [-Infinity, Infinity]
+};
+
+// A blur's intensity is its blur radius, which sharp caps; pixelate block sizes are not capped
+const MAX_BLUR_RADIUS = 1000;
+
+// Keyword fields and their values, per annotation type ('*' for any type)
+const KEYWORD_FIELDS = {
+  style: {
+    marker: ['filled', 'outline', 'badge'],
+    arrow: ['solid', 'dashed'],
+    rect: ['solid', 'dashed'],
+    circle: ['solid', 'dashed'],
+    connector: ['solid', 'dashed']
+  },
+  headStyle: { '*': ['filled', 'open', 'none'] },
+  pointer: { '*': ['top', 'bottom', 'left', 'right', 'none'] },
+  icon: { '*': ['check', 'checkmark', 'x', 'cross', 'warning', '!', 'info', 'i', 'question', '?'] },
+  shape: {
+    spotlight: ['rect', 'rounded', 'circle'],
+    magnify: ['circle', 'rect']
+  },
+  mode: { '*': ['blur', 'pixelate', 'solid'] }
+};
+
+// Fields that must be true or false
+const BOOLEAN_FIELDS = ['shadow', 'handwriting', 'connector', 'snap', 'labels'];
+
+// Fields that must be text
+const STRING_FIELDS = ['text', 'fontFamily', 'fontFile'];
+
+// CSS font weight keywords
+const FONT_WEIGHTS = ['normal', 'bold', 'bolder', 'lighter'];
+
+/**
+ * Canonical type name of an annotation
+ */
+function canonicalType(type) {
+  return TYPE_ALIASES[type] || type;
+}
+
+/**
+ * Format a value for an error message
+ */
+function show(value) {
+  return typeof value === 'string' ? `"${value}"` : JSON.stringify(value);
+}
+
+/**
+ * Two-digit uppercase hex of a channel value
+ */
+function hexByte(value) {
+  return Math.round(value).toString(16).padStart(2, '0').toUpperCase();
+}
+
+/**
+ * Hex color from channel values (0-255) and an alpha (0-1)
+ */
+function toHex(r, g, b, a = 1) {
+  return `#${hexByte(r)}${hexByte(g)}${hexByte(b)}${a < 1 ? hexByte(a * 255) : ''}`;
+}
+
+/**
+ * Parse a number or percentage, scaling percentages to `scale`.
+ * Returns null when it is not one, or falls outside 0..scale.
+ */
+function parseChannel(text, scale, percentScale = scale) {
+  const match = /^(-?\d*\.?\d+)(%?)$/.exec(text);
+  if (!match) return null;
+  const value = match[2] ? parseFloat(match[1]) / 100 * percentScale : parseFloat(match[1]);
+  return value >= 0 && value <= scale ? value : null;
+}
+
+/**
+ * Split the arguments of rgb()/hsl(), in comma or space syntax with an optional / alpha
+ */
+function colorArguments(body) {
+  const [main, alpha] = body.split('/').map(part => part.trim());
+  const parts = main.includes(',') ? main.split(',').map(part => part.trim()) : main.split(/\s+/);
+  if (alpha !== undefined) {
+    if (parts.length !== 3) return null;
+    parts.push(alpha);
+  }
+  return parts.length === 3 || parts.length === 4 ? parts : null;
+}
+
+/**
+ * Convert HSL (hue in degrees, saturation and lightness 0-1) to RGB channels
+ */
+function hslToRgb(h, s, l) {
+  const k = n => (n + h / 30) % 12;
+  const a = s * Math.min(l, 1 - l);
+  const f = n => (l - a * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1))) * 255;
+  return [f(0), f(8), f(4)];
+}
+
+/**
+ * Parse a hex, rgb()/rgba() or hsl()/hsla() color, or transparent/none.
+ * Returns an uppercase #RRGGBB (or #RRGGBBAA) value, or null if it is not a color.
+ */
+function parseColor(value) {
+  if (typeof value !== 'string') return null;
+  const color = value.trim().toLowerCase();
+
+  if (color === 'transparent' || color === 'none') return '#00000000';
+
+  const hex = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/.exec(color);
+  if (hex) {
+    const digits = hex[1].length <= 4 ? hex[1].replace(/./g, d => d + d) : hex[1];
+    const [r, g, b, a = 255] = digits.match(/../g).map(pair => parseInt(pair, 16));
+    return toHex(r, g, b, a / 255);
+  }
+
+  const fn = /^(rgba?|hsla?)\((.*)\)$/.exec(color);
+  const parts = fn && colorArguments(fn[2]);
+  if (!parts) return null;
+
+  const alpha = parts.length === 4 ? parseChannel(parts[3], 1) : 1;
+  if (alpha === null) return null;
+
+  if (fn[1].startsWith('rgb')) {
+    const channels = parts.slice(0, 3).map(part => parseChannel(part, 255));
+    return channels.includes(null) ? null : toHex(...channels, alpha);
+  }
+
+  const hue = /^(-?\d*\.?\d+)(deg)?$/.exec(parts[0]);
+  const saturation = parts[1].endsWith('%') ? parseChannel(parts[1], 1) : null;
+  const lightness = parts[2].endsWith('%') ? parseChannel(parts[2], 1) : null;
+  if (!hue || saturation === null || lightness === null) return null;
+
+  const h = ((parseFloat(hue[1]) % 360) + 360) % 360;
+  return toHex(...hslToRgb(h, saturation, lightness), alpha);
+}
+
+/**
+ * Edit distance between two strings, for "did you mean" hints
+ */
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let previous = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+      previous = current;
+    }
+  }
+  return row[b.length];
+}
+
+/**
+ * Closest of `names` to a misspelt value, if any is close
+ */
+function suggest(value, names) {
+  const target = String(value).toLowerCase();
+  let best = null;
+  for (const name of names) {
+    const distance = editDistance(target, name.toLowerCase());
+    if (distance <= 2 && (!best || distance < best.distance)) best = { name, distance };
+  }
+  return best ? ` (did you mean "${best.name}"?)` : '';
+}
+
+/**
+ * Normalise a color field: a palette name or a hex/rgb/hsl color, as hex.
+ * `palette` maps color names to hex values.
+ */
+function normalizeColor(value, palette, field = 'color') {
+  const named = typeof value === 'string' && Object.hasOwn(palette, value) && palette[value];
+  const color = named || parseColor(value);
+  if (!color) {
+    throw new Error(`${field} ${show(value)} is not a valid color; use a hex value, rgb(), hsl() or a named color${suggest(value, Object.keys(palette))}`);
+  }
+  return color;
+}
+
+/**
+ * Describe an allowed numeric range for an error message
+ */
+function describeRange([min, max]) {
+  if (min === POSITIVE) return 'greater than 0';
+  if (max === Infinity) return min === -Infinity ? 'a finite number' : `at least ${min}`;
+  return `between ${min} and ${max}`;
+}
+
+/**
+ * Normalise a numeric field: finite, in range, and a number (numeric strings are converted)
+ */
+function normalizeNumber(value, field, range) {
+  const number = typeof value === 'string' && /^\s*-?\d*\.?\d+\s*$/.test(value) ? parseFloat(value) : value;
+  if (typeof number !== 'number' || !Number.isFinite(number) || number < range[0] || number > range[1]) {
+    throw new Error(`${field} must be ${describeRange(range)}, got ${show(value)}`);
+  }
+  return number;
+}
+
+/**
+ * Check a keyword field against the values its annotation type accepts
+ */
+function normalizeKeyword(value, field, type, name = field) {
+  const allowed = KEYWORD_FIELDS[field][type] || KEYWORD_FIELDS[field]['*'];
+  if (!allowed || allowed.includes(value)) return value;
+  throw new Error(`${name} must be one of ${allowed.join(', ')}, got ${show(value)}${suggest(value, allowed)}`);
+}
+
+/**
+ * Check a point: [x, y] with finite coordinates
+ */
+function normalizePoint(value, field) {
+  if (!Array.isArray(value) || value.length !== 2) {
+    throw new Error(`${field} must be an [x, y] point, got ${show(value)}`);
+  }
+  return value.map((v, i) => normalizeNumber(v, `${field}[${i}]`, NUMBER_FIELDS.x));
+}
+
+/**
+ * Check a box-like object's geometry (x, y, width, height and any other numeric fields)
+ */
+function normalizeBox(value, field, type) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error(`${field} must be an object with x, y, width and height, got ${show(value)}`);
+  }
+  const box = { ...value };
+  for (const [key, range] of Object.entries(NUMBER_FIELDS)) {
+    if (box[key] != null) box[key] = normalizeNumber(box[key], `${field}.${key}`, range);
+  }
+  if (box.shape != null) box.shape = normalizeKeyword(box.shape, 'shape', type, `${field}.shape`);
+  return box;
+}
+
+/**
+ * Normalise one field's value, throwing an error naming the field if it is invalid
+ */
+function normalizeField(field, value, type, palette) {
+  // A false background means none
+  if (COLOR_FIELDS.includes(field)) return value === false ? value : normalizeColor(value, palette, field);
+  if (NUMBER_FIELDS[field]) return normalizeNumber(value, field, NUMBER_FIELDS[field]);
+  if (KEYWORD_FIELDS[field]) return normalizeKeyword(value, field, type);
+
+  if (BOOLEAN_FIELDS.includes(field)) {
+    const flag = value === 'true' || value === 'false' ? value === 'true' : value;
+    if (typeof flag !== 'boolean') throw new Error(`${field} must be true or false, got ${show(value)}`);
+    return flag;
+  }
+
+  if (STRING_FIELDS.includes(field)) {
+    if (typeof value === 'number') return String(value);
+    if (typeof value !== 'string') throw new Error(`${field} must be a string, got ${show(value)}`);
+    return value;
+  }
+
+  switch (field) {
+    case 'number':
+      if (typeof value !== 'string' && !Number.isFinite(value)) {
+        throw new Error(`number must be a number or a string, got ${show(value)}`);
+      }
+      return value;
+    case 'fontWeight':
+      return FONT_WEIGHTS.includes(value) ? value : normalizeNumber(value, 'fontWeight', [1, 1000]);
+    case 'from':
+    case 'to':
+      return normalizePoint(value, field);
+    case 'source':
+      return normalizeBox(value, field, type);
+    case 'areas':
+      if (!Array.isArray(value)) throw new Error(`areas must be an array of boxes, got ${show(value)}`);
+      return value.map((area, i) => normalizeBox(area, `areas[${i}]`, type));
+    default:
+      return value;
+  }
+}
+
+/**
+ * Describe the field sets a type needs, e.g. "areas, or x, y, width and height"
+ */
+function describeRequired(required) {
+  const list = fields => fields.length > 1 ? `${fields.slice(0, -1).join(', ')} and ${fields[fields.length - 1]}` : fields[0];
+  return required.map(list).join(', or ');
+}
+
+/**
+ * Check one annotation against its type's schema.
+ *
+ * `ann` is the annotation as given, used to spot fields its type does not use;
+ * `resolved` is the same annotation with theme defaults applied and
+ * coordinates resolved (or null if resolving failed), whose values are
+ * validated and normalised. `palette` maps color names to hex values.
+ *
+ * Returns the normalised annotation (null if it has errors) and a list of
+ * issues: { level: 'error'|'warning', code, field, message }.
+ */
+function checkAnnotation(ann, resolved, palette) {
+  const issues = [];
+  const report = (level, code, field, message) => issues.push({ level, code, field, message });
+
+  if (!ann || typeof ann !== 'object' || Array.isArray(ann)) {
+    report('error', 'invalid-annotation', null, `must be an object with a type, got ${show(ann)}`);
+    return { annotation: null, issues };
+  }
+  if (typeof ann.type !== 'string') {
+    report('error', 'missing-field', 'type', `type is required (one of ${Object.keys(TYPE_SCHEMAS).join(', ')})`);
+    return { annotation: null, issues };
+  }
+
+  const type = canonicalType(ann.type);
+  const schema = TYPE_SCHEMAS[type];
+  if (!schema) {
+    const types = Object.keys(TYPE_SCHEMAS);
+    report('error', 'unknown-type', 'type', `unknown type ${show(ann.type)}; use one of ${types.join(', ')}${suggest(ann.type, types)}`);
+    return { annotation: null, issues };
+  }
+
+  const known = [...COMMON_FIELDS, ...schema.fields];
+  for (const [field, value] of Object.entries(ann)) {
+    if (value !== undefined && !known.includes(field)) {
+      report('warning', 'unknown-field', field, `${field} is not used by ${type} annotations and is ignored${suggest(field, known)}`);
+    }
+  }
+
+  if (!resolved) return { annotation: null, issues };
+
+  const annotation = { ...resolved };
+  for (const [field, value] of Object.entries(resolved)) {
+    if (value == null) continue;
+    try {
+      annotation[field] = normalizeField(field, value, type, palette);
+    } catch (e) {
+      report('error', 'invalid-value', field, e.message);
+    }
+  }
+
+  if (type === 'blur' && (annotation.mode || 'blur') === 'blur' && annotation.intensity > MAX_BLUR_RADIUS) {
+    report('error', 'invalid-value', 'intensity', `intensity must be ${describeRange([0, MAX_BLUR_RADIUS])} for mode blur, got ${show(ann.intensity)}`);
+  }
+
+  // Each entry of `required` is one set of fields that is enough on its own
+  const missing = schema.required.map(fields => fields.filter(field => annotation[field] == null));
+  if (schema.required.length && !missing.some(fields => !fields.length)) {
+    const closest = missing.reduce((best, fields) => fields.length < best.length ? fields : best);
+    report('error', 'missing-field', closest[0], schema.required.length > 1
+      ? `${type} needs ${describeRequired(schema.required)}`
+      : `${type} is missing ${describeRequired([closest])}`);
+  }
+
+  return { annotation: issues.some(issue => issue.level === 'error') ? null : annotation, issues };
+}
+
+module.exports = {
+  parseColor,
+  normalizeColor,
+  checkAnnotation,
+  canonicalType,
+  ANNOTATION_TYPES: Object.keys(TYPE_SCHEMAS)
+};